@@ -0,0 +1,41 @@
+/**
+ * fastest-validator adapter
+ *
+ * Scenarios hold the raw schema definition; compile() turns it into a check
+ * function, which returns true or an array of error objects. Schemas marked
+ * with `$$async: true` compile to a function returning a promise. Every
+ * error is collected unless the validator halts on the first one. Error
+ * fields use brackets for array indexes ("items[0].name").
+ */
+
+const FastestValidator = require("fastest-validator");
+
+module.exports = {
+    name: "fastest-validator",
+    packageName: "fastest-validator",
+
+    errorModes: ["collect-all", "abort-early"],
+
+    compile: (schema, { errorMode } = {}) => new FastestValidator({ haltOnFirstError: errorMode === "abort-early" }).compile(schema),
+
+    validateSync: (check, data) => check(data),
+
+    validateAsync: async (check, data) => check(data),
+
+    normalizeResult: (result, error) => {
+        if (error) return { valid: false, value: undefined, error };
+        if (result !== true) return { valid: false, value: undefined, error: result };
+        return { valid: true, value: undefined, error: null };
+    },
+
+    normalizeErrors: (error) => Array.isArray(error)
+        ? error.map(failure => ({
+            path: (failure.field || "").replace(/\[(\d+)\]/g, ".$1").replace(/^\./, ""),
+            rule: failure.type,
+            message: failure.message
+        }))
+        : null,
+
+    // Failures are returned, never thrown
+    isValidationError: () => false
+};
@@ -0,0 +1,133 @@
+/**
+ * Library Adapter Registry
+ *
+ * Every validation library taking part in the benchmarks is described by an
+ * adapter file in this directory, which exports one adapter or an array of
+ * variants of the same library. An adapter exposes:
+ *
+ * - name:            library key used in schema maps and reports
+ * - packageName:     npm package the adapter wraps
+ * - compile:         turns a scenario schema definition into something runnable
+ * - validateSync:    validates data synchronously (may throw, like the library)
+ * - validateAsync:   validates data asynchronously (may reject, like the library)
+ * - normalizeResult: maps (result, error) into { valid, value, error }
+ * - normalizeErrors: maps (error, compiled) of a failed validation into
+ *                    [{ path, rule, message }], or null when the error is not
+ *                    one of the library's validation errors
+ * - isValidationError: tells whether an error thrown by validateSync /
+ *                    validateAsync is how the library reports failed
+ *                    validation; anything else is a crash
+ * - schemaOf:        optional; a variant runs the schemas of this library
+ * - errorModes:      error reporting modes compile() accepts as
+ *                    `{ errorMode }`, the library's default first:
+ *                    "abort-early" stops at the first failing field,
+ *                    "collect-all" reports every one
+ *
+ * Adapters are discovered automatically: dropping a new file in here is all it
+ * takes to make a library available to every suite that defines a schema for it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const REQUIRED_MEMBERS = ["name", "packageName", "errorModes", "compile", "validateSync", "validateAsync", "normalizeResult", "normalizeErrors", "isValidationError"];
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+    for (const member of REQUIRED_MEMBERS) {
+        if (adapter[member] === undefined) {
+            throw new Error(`Adapter ${adapter.name || "(unnamed)"} is missing "${member}"`);
+        }
+    }
+    adapters.set(adapter.name, adapter);
+    return adapter;
+}
+
+function getAdapter(name) {
+    const adapter = adapters.get(name);
+    if (!adapter) throw new Error(`Unknown library: ${name}`);
+    return adapter;
+}
+
+function listAdapters() {
+    return [...adapters.values()];
+}
+
+/**
+ * The entry of a scenario's schema (or schema builder) map that `adapter`
+ * runs: its own, or the one of the library it is a variant of.
+ */
+function schemaFor(schemas, adapter) {
+    return schemas[adapter.schemaOf || adapter.name];
+}
+
+/**
+ * A thrown error as a failed validation, flagged `crashed` when it is not one
+ * of the library's validation errors.
+ */
+function normalizeThrown(adapter, error) {
+    const result = adapter.normalizeResult(undefined, error);
+    return adapter.isValidationError(error) ? result : { ...result, crashed: true };
+}
+
+/**
+ * Runs a synchronous validation and normalizes whatever the library returned
+ * or threw into { valid, value, error, crashed? }.
+ */
+function validateSync(adapter, compiled, data) {
+    let result;
+    try {
+        result = adapter.validateSync(compiled, data);
+    } catch (error) {
+        return normalizeThrown(adapter, error);
+    }
+    return adapter.normalizeResult(result, null);
+}
+
+/**
+ * Async counterpart of validateSync.
+ */
+async function validateAsync(adapter, compiled, data) {
+    let result;
+    try {
+        result = await adapter.validateAsync(compiled, data);
+    } catch (error) {
+        return normalizeThrown(adapter, error);
+    }
+    return adapter.normalizeResult(result, null);
+}
+
+/**
+ * Translates the error of a failed validation into [{ path, rule, message }]
+ * where `path` is dot separated, with array indexes as segments
+ * ("damages.0.severity"), and "" stands for the value itself. Anything the
+ * library did not report as a validation failure (a crash, a failing service,
+ * a hand-written check) becomes a single entry at "".
+ */
+function normalizeErrors(adapter, compiled, error) {
+    if (!error) return [];
+    const errors = adapter.normalizeErrors(error, compiled);
+    if (errors) return errors;
+    return [{
+        path: "",
+        rule: error.name || "error",
+        message: typeof error.message === "string" ? error.message : String(error)
+    }];
+}
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith(".js") && file !== "index.js")
+    .sort()
+    .flatMap(file => [].concat(require(path.join(__dirname, file))))
+    .forEach(registerAdapter);
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+    schemaFor,
+    validateSync,
+    validateAsync,
+    normalizeErrors
+};
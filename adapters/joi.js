@@ -0,0 +1,38 @@
+/**
+ * joi adapter
+ *
+ * validate() reports failures through `result.error` instead of throwing,
+ * while validateAsync() rejects with a ValidationError. joi aborts early
+ * unless `abortEarly: false` is passed.
+ */
+
+module.exports = {
+    name: "joi",
+    packageName: "joi",
+
+    errorModes: ["abort-early", "collect-all"],
+
+    compile: (schema, { errorMode } = {}) => ({
+        schema,
+        options: errorMode ? { abortEarly: errorMode === "abort-early" } : undefined
+    }),
+
+    validateSync: (compiled, data) => compiled.schema.validate(data, compiled.options),
+
+    validateAsync: async (compiled, data) => ({ value: await compiled.schema.validateAsync(data, compiled.options) }),
+
+    normalizeResult: (result, error) => {
+        const failure = error || result.error;
+        return failure
+            ? { valid: false, value: undefined, error: failure }
+            : { valid: true, value: result.value, error: null };
+    },
+
+    normalizeErrors: (error) => error.details
+        ? error.details.map(detail => ({ path: detail.path.join("."), rule: detail.type, message: detail.message }))
+        : null,
+
+    // .external() rules report a failed check by throwing, which joi passes on
+    // as is (with the path appended); the schemas throw plain Errors for that
+    isValidationError: (error) => error.name === "ValidationError" || Object.getPrototypeOf(error) === Error.prototype
+};
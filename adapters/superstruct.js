@@ -0,0 +1,66 @@
+/**
+ * superstruct adapter
+ *
+ * superstruct has no async refinements, so async scenarios describe their
+ * schema as { struct, asyncCheck } where asyncCheck(data) performs the manual
+ * service lookups and resolves to true or an error message. Plain structs are
+ * accepted everywhere else.
+ *
+ * assert() throws at the first failure; the remaining failures are only
+ * computed when StructError#failures() is read, which collect-all does.
+ * asyncCheck messages carry no path.
+ */
+
+const { assert, validate } = require("superstruct");
+
+function check(compiled, data) {
+    if (!compiled.collectAll) {
+        assert(data, compiled.struct);
+        return;
+    }
+    const [error] = validate(data, compiled.struct);
+    if (error) {
+        error.failures();
+        throw error;
+    }
+}
+
+module.exports = {
+    name: "superstruct",
+    packageName: "superstruct",
+
+    errorModes: ["abort-early", "collect-all"],
+
+    compile: (schema, { errorMode } = {}) => ({
+        struct: schema.struct || schema,
+        asyncCheck: schema.asyncCheck || null,
+        collectAll: errorMode === "collect-all"
+    }),
+
+    validateSync: (compiled, data) => {
+        check(compiled, data);
+        return true;
+    },
+
+    validateAsync: async (compiled, data) => {
+        check(compiled, data);
+        return compiled.asyncCheck ? compiled.asyncCheck(data) : true;
+    },
+
+    normalizeResult: (result, error) => {
+        if (error) return { valid: false, value: undefined, error };
+        if (result !== true) return { valid: false, value: undefined, error: new Error(result) };
+        return { valid: true, value: undefined, error: null };
+    },
+
+    normalizeErrors: (error) => typeof error.failures === "function"
+        ? error.failures().map(failure => ({
+            path: failure.path.join("."),
+            rule: failure.refinement || failure.type,
+            message: failure.message
+        }))
+        : null,
+
+    // asyncCheck reports failures by resolving to a message, not by throwing
+    isValidationError: (error) => error.name === "StructError"
+};
@@ -0,0 +1,122 @@
+/**
+ * validant adapter
+ *
+ * validant validates objects only. When a rule set has a single array field
+ * (e.g. `{ data: { arrayElementRule: {...} } }`) and the payload is an array,
+ * the payload is wrapped under that field name before validating.
+ *
+ * Two variants are registered:
+ * - validant:        a new Validator / AsyncValidator per call, as in
+ *                    validant's docs
+ * - validant-shared: one Validator / AsyncValidator per compiled schema,
+ *                    reused by every call, the way a request handler would
+ *                    cache them. It runs validant's schemas (`schemaOf`), so
+ *                    the gap between the two is the cost of instantiation.
+ *
+ * validant always reports every failing field, as a tree of rule violations
+ * mirroring the data (arrays as { arrayErrors, arrayElementErrors }).
+ */
+
+const { Validator, AsyncValidator } = require("validant");
+
+function findArrayKey(rules) {
+    const keys = Object.keys(rules);
+    if (keys.length !== 1) return null;
+    const rule = rules[keys[0]];
+    return rule && (rule.arrayElementRule || rule.arrayRules) ? keys[0] : null;
+}
+
+function wrap(compiled, data) {
+    return compiled.arrayKey && Array.isArray(data) ? { [compiled.arrayKey]: data } : data;
+}
+
+function pushViolations(violations, path, entries) {
+    // Async rules of a synchronous validation leave pending promises behind
+    violations.filter(violation => violation && violation.ruleName)
+        .forEach(violation => entries.push({ path, rule: violation.ruleName, message: violation.errorMessage }));
+}
+
+function flattenErrors(errors, prefix, entries) {
+    for (const [key, value] of Object.entries(errors)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) {
+            pushViolations(value, path, entries);
+        } else if (value && (value.arrayErrors || value.arrayElementErrors)) {
+            pushViolations(value.arrayErrors || [], path, entries);
+            for (const element of value.arrayElementErrors || []) {
+                if (Array.isArray(element.errors)) {
+                    pushViolations(element.errors, `${path}.${element.index}`, entries);
+                } else {
+                    flattenErrors(element.errors, `${path}.${element.index}`, entries);
+                }
+            }
+        } else if (value && typeof value === "object") {
+            flattenErrors(value, path, entries);
+        }
+    }
+    return entries;
+}
+
+function normalizeErrors(error, compiled) {
+    if (!error.errors) return null;
+    const entries = flattenErrors(error.errors, "", []);
+    if (!compiled.arrayKey) return entries;
+    // Undo the wrapping of array payloads
+    const key = compiled.arrayKey;
+    return entries.map(entry => ({ ...entry, path: entry.path === key ? "" : entry.path.slice(key.length + 1) }));
+}
+
+// validant returns its failures; a thrown error is a rule crashing
+function isValidationError() {
+    return false;
+}
+
+function normalizeResult(result, error) {
+    if (error) return { valid: false, value: undefined, error };
+    if (!result.isValid) return { valid: false, value: undefined, error: result };
+    return { valid: true, value: undefined, error: null };
+}
+
+const perCall = {
+    name: "validant",
+    packageName: "validant",
+    errorModes: ["collect-all"],
+
+    compile: (rules) => ({ rules, arrayKey: findArrayKey(rules) }),
+
+    validateSync: (compiled, data) => new Validator().validate(wrap(compiled, data), compiled.rules),
+
+    validateAsync: (compiled, data) => new AsyncValidator().validateAsync(wrap(compiled, data), compiled.rules),
+
+    normalizeResult,
+
+    normalizeErrors,
+
+    isValidationError
+};
+
+const shared = {
+    name: "validant-shared",
+    packageName: "validant",
+    schemaOf: "validant",
+    errorModes: ["collect-all"],
+
+    compile: (rules) => ({
+        rules,
+        arrayKey: findArrayKey(rules),
+        validator: new Validator(),
+        asyncValidator: new AsyncValidator()
+    }),
+
+    validateSync: (compiled, data) => compiled.validator.validate(wrap(compiled, data), compiled.rules),
+
+    validateAsync: (compiled, data) => compiled.asyncValidator.validateAsync(wrap(compiled, data), compiled.rules),
+
+    normalizeResult,
+
+    normalizeErrors,
+
+    isValidationError
+};
+
+module.exports = [perCall, shared];
@@ -0,0 +1,40 @@
+/**
+ * yup adapter
+ *
+ * validateSync/validate throw (or reject with) a ValidationError. yup aborts
+ * early unless `abortEarly: false` is passed, in which case the failures are
+ * listed in `inner`. Paths use brackets for array indexes ("items[0].name").
+ */
+
+const isValidationError = (error) => error.name === "ValidationError";
+
+module.exports = {
+    name: "yup",
+    packageName: "yup",
+
+    errorModes: ["abort-early", "collect-all"],
+
+    compile: (schema, { errorMode } = {}) => ({
+        schema,
+        options: errorMode ? { abortEarly: errorMode === "abort-early" } : undefined
+    }),
+
+    validateSync: (compiled, data) => compiled.schema.validateSync(data, compiled.options),
+
+    validateAsync: (compiled, data) => compiled.schema.validate(data, compiled.options),
+
+    normalizeResult: (result, error) => error
+        ? { valid: false, value: undefined, error }
+        : { valid: true, value: result, error: null },
+
+    normalizeErrors: (error) => {
+        if (!isValidationError(error)) return null;
+        return (error.inner.length > 0 ? error.inner : [error]).map(failure => ({
+            path: (failure.path || "").replace(/\[(\d+)\]/g, ".$1").replace(/^\./, ""),
+            rule: failure.type,
+            message: failure.message
+        }));
+    },
+
+    isValidationError
+};
@@ -0,0 +1,31 @@
+/**
+ * zod adapter
+ *
+ * Schemas are built with the zod API, so compile is a pass-through.
+ * parse/parseAsync throw a ZodError when validation fails, listing every
+ * issue; zod has no abort-early mode. Anything else thrown, e.g. by a
+ * refinement, is a crash.
+ */
+
+module.exports = {
+    name: "zod",
+    packageName: "zod",
+
+    errorModes: ["collect-all"],
+
+    compile: (schema) => schema,
+
+    validateSync: (schema, data) => schema.parse(data),
+
+    validateAsync: (schema, data) => schema.parseAsync(data),
+
+    normalizeResult: (result, error) => error
+        ? { valid: false, value: undefined, error }
+        : { valid: true, value: result, error: null },
+
+    normalizeErrors: (error) => error.issues
+        ? error.issues.map(issue => ({ path: issue.path.join("."), rule: issue.code, message: issue.message }))
+        : null,
+
+    isValidationError: (error) => error.name === "ZodError"
+};
@@ -1,11 +1,14 @@
-const Benchmark = require('benchmark');
-
 // Library imports
 const z = require('zod');
 const Joi = require('joi');
 const yup = require('yup');
-const { string, number, integer, array, object, boolean, size, min, max, assert, pattern, enums } = require("superstruct");
-const { AsyncValidator, AsyncValidationRule, required, minNumber, maxNumber, emailAddress, isString, isNumber, elementOf, arrayMinLen, arrayMaxLen, stringMinLen, stringMaxLen } = require("validant");
+const { string, number, integer, array, object, boolean, size, min, max, pattern, enums } = require("superstruct");
+const { required, minNumber, maxNumber, emailAddress, isString, isNumber, elementOf, arrayMinLen, arrayMaxLen, stringMinLen, stringMaxLen } = require("validant");
+const { runScenario } = require('./lib/runners');
+const { withSchemas } = require('./lib/schemas');
+const { simulateLatency } = require('./lib/latency');
+const { invalidFixture } = require('./lib/conformance');
+const { wholeNumber } = require('./lib/validant-rules');
 
 // =============================================================================
 // MOCK ASYNC SERVICES (Simulating real-world API calls)
@@ -18,23 +21,23 @@ const mockDatabase = {
     blockedIPs: new Set(['192.168.1.100', '10.0.0.50', '172.16.0.25'])
 };
 
-// Mock async services with realistic delays
+// Mock async services; delays follow the run's latency profile (lib/latency.js)
 const asyncServices = {
     // Simulate checking if email exists in database (10-15ms delay)
     async checkEmailExists(email) {
-        await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 5));
+        await simulateLatency(10, 5);
         return mockDatabase.existingEmails.has(email);
     },
 
     // Simulate username availability check (15-20ms delay)
     async checkUsernameAvailable(username) {
-        await new Promise(resolve => setTimeout(resolve, 15 + Math.random() * 5));
+        await simulateLatency(15, 5);
         return !mockDatabase.existingUsernames.has(username.toLowerCase());
     },
 
     // Simulate company domain validation (20-25ms delay)
     async validateCompanyDomain(email) {
-        await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 5));
+        await simulateLatency(20, 5);
         if (!email.includes('@')) return false;
         const domain = email.split('@')[1];
         return mockDatabase.validCompanyDomains.has(domain);
@@ -42,13 +45,13 @@ const asyncServices = {
 
     // Simulate IP blacklist check (5-10ms delay)
     async checkIPNotBlocked(ip) {
-        await new Promise(resolve => setTimeout(resolve, 5 + Math.random() * 5));
+        await simulateLatency(5, 5);
         return !mockDatabase.blockedIPs.has(ip);
     },
 
     // Simulate credit card validation service (30-40ms delay)
     async validateCreditCard(cardNumber) {
-        await new Promise(resolve => setTimeout(resolve, 30 + Math.random() * 10));
+        await simulateLatency(30, 10);
         // Simple Luhn algorithm check
         const digits = cardNumber.replace(/\D/g, '');
         if (digits.length !== 16) return false;
@@ -94,24 +97,57 @@ const paymentData = {
 };
 
 // Scenario 3: Bulk User Import with Async Validation
-const bulkUserData = Array.from({ length: 10 }, (_, i) => ({
+const generateBulkUsers = (count) => Array.from({ length: count }, (_, i) => ({
     id: `user_${i + 1}`,
     username: `bulkuser${i + 1}`,
-    email: i < 2 ? `user${i}@taken.com` : `newuser${i}@company.com`, // First 2 will fail
+    email: i === 0 ? 'user@taken.com' : i === 1 ? 'test@exists.com' : `newuser${i}@company.com`, // First 2 will fail
     department: i % 4 === 0 ? "IT" : i % 4 === 1 ? "HR" : i % 4 === 2 ? "Finance" : "Marketing",
     role: i % 3 === 0 ? "admin" : i % 3 === 1 ? "user" : "viewer",
     active: i % 5 !== 0 // Every 5th user is inactive
 }));
 
-// Wrapped bulk data for validant (needs object wrapper)
-const bulkUserDataWrapped = { users: bulkUserData };
+const bulkUserData = generateBulkUsers(10);
+
+// Labelled invalid fixtures for the conformance check (node conformance.js)
+const userRegistrationFixtures = [
+    invalidFixture('taken-username', 'Username already taken', userRegistrationData, 'username', 'admin'),
+    invalidFixture('existing-email', 'Email already registered', userRegistrationData, 'email', 'admin@company.com'),
+    invalidFixture('foreign-domain', 'Email outside company domains', userRegistrationData, 'email', 'newuser@gmail.com'),
+    invalidFixture('blocked-ip', 'Blocked IP address', userRegistrationData, 'ipAddress', '10.0.0.50'),
+    invalidFixture('age-17', 'Age below 18', userRegistrationData, 'age', 17),
+    invalidFixture('password-mismatch', 'Passwords do not match', userRegistrationData, 'confirmPassword', 'OtherPass123!'),
+    invalidFixture('terms-declined', 'Terms not accepted', userRegistrationData, 'acceptTerms', false),
+    invalidFixture('fractional-age', 'Fractional age', userRegistrationData, 'age', 28.5)
+];
+
+// The bulk data fails on its first two users, so its fixtures start from the users that pass
+const validBulkUsers = bulkUserData.slice(2);
+const bulkUserFixtures = [
+    invalidFixture('bulk-taken-username', 'User with a taken username', validBulkUsers, '0.username', 'admin'),
+    invalidFixture('bulk-existing-email', 'User with a registered email', validBulkUsers, '1.email', 'admin@company.com'),
+    invalidFixture('bulk-short-username', 'Username below 3 characters', validBulkUsers, '2.username', 'ab'),
+    invalidFixture('bulk-unknown-department', 'Department outside the enum', validBulkUsers, '3.department', 'Legal'),
+    invalidFixture('bulk-unknown-role', 'Role outside the enum', validBulkUsers, '4.role', 'owner')
+];
+
+const paymentFixtures = [
+    invalidFixture('bad-luhn', 'Card number fails Luhn check', paymentData, 'cardNumber', '4532015112830367'),
+    invalidFixture('month-13', 'Expiry month 13', paymentData, 'expiryMonth', 13),
+    invalidFixture('short-cvv', 'CVV with 2 digits', paymentData, 'cvv', '12'),
+    invalidFixture('currency-jpy', 'Unsupported currency', paymentData, 'currency', 'JPY'),
+    invalidFixture('zero-amount', 'Zero amount', paymentData, 'amount', 0),
+    invalidFixture('unknown-merchant', 'Merchant outside company domains', paymentData, 'merchantEmail', 'shop@example.com'),
+    invalidFixture('blocked-customer-ip', 'Blocked customer IP', paymentData, 'customerIP', '172.16.0.25'),
+    invalidFixture('fractional-month', 'Fractional expiry month', paymentData, 'expiryMonth', 11.5),
+    invalidFixture('fractional-year', 'Fractional expiry year', paymentData, 'expiryYear', 2027.5)
+];
 
 // =============================================================================
 // ZOD ASYNC SCHEMAS
 // =============================================================================
 
-const zodAsyncSchemas = {
-    userRegistration: z.object({
+const zodAsyncSchemaBuilders = {
+    userRegistration: () => z.object({
         username: z.string().min(3).max(20)
             .refine(async (username) => await asyncServices.checkUsernameAvailable(username), {
                 message: "Username is already taken"
@@ -138,7 +174,7 @@ const zodAsyncSchemas = {
         path: ["confirmPassword"]
     }),
 
-    payment: z.object({
+    payment: () => z.object({
         cardNumber: z.string()
             .refine(async (card) => await asyncServices.validateCreditCard(card), {
                 message: "Invalid credit card number"
@@ -158,7 +194,7 @@ const zodAsyncSchemas = {
             })
     }),
 
-    bulkUsers: z.array(z.object({
+    bulkUsers: () => z.array(z.object({
         id: z.string(),
         username: z.string().min(3).max(20)
             .refine(async (username) => await asyncServices.checkUsernameAvailable(username), {
@@ -178,8 +214,8 @@ const zodAsyncSchemas = {
 // JOI ASYNC SCHEMAS
 // =============================================================================
 
-const joiAsyncSchemas = {
-    userRegistration: Joi.object({
+const joiAsyncSchemaBuilders = {
+    userRegistration: () => Joi.object({
         username: Joi.string().min(3).max(20).required()
             .external(async (username) => {
                 const available = await asyncServices.checkUsernameAvailable(username);
@@ -208,7 +244,7 @@ const joiAsyncSchemas = {
             })
     }),
 
-    payment: Joi.object({
+    payment: () => Joi.object({
         cardNumber: Joi.string().required()
             .external(async (card) => {
                 const valid = await asyncServices.validateCreditCard(card);
@@ -234,7 +270,7 @@ const joiAsyncSchemas = {
             })
     }),
 
-    bulkUsers: Joi.array().items(
+    bulkUsers: () => Joi.array().items(
         Joi.object({
             id: Joi.string().required(),
             username: Joi.string().min(3).max(20).required()
@@ -260,8 +296,8 @@ const joiAsyncSchemas = {
 // YUP ASYNC SCHEMAS  
 // =============================================================================
 
-const yupAsyncSchemas = {
-    userRegistration: yup.object({
+const yupAsyncSchemaBuilders = {
+    userRegistration: () => yup.object({
         username: yup.string().min(3).max(20).required()
             .test('username-available', 'Username is already taken',
                 async (username) => await asyncServices.checkUsernameAvailable(username)),
@@ -280,7 +316,7 @@ const yupAsyncSchemas = {
                 async (ip) => await asyncServices.checkIPNotBlocked(ip))
     }),
 
-    payment: yup.object({
+    payment: () => yup.object({
         cardNumber: yup.string().required()
             .test('card-valid', 'Invalid credit card number',
                 async (card) => await asyncServices.validateCreditCard(card)),
@@ -297,7 +333,7 @@ const yupAsyncSchemas = {
                 async (ip) => await asyncServices.checkIPNotBlocked(ip))
     }),
 
-    bulkUsers: yup.array().of(
+    bulkUsers: () => yup.array().of(
         yup.object({
             id: yup.string().required(),
             username: yup.string().min(3).max(20).required()
@@ -341,44 +377,93 @@ const asyncValidators = {
     }
 };
 
-const superstructAsyncSchemas = {
-    userRegistration: object({
-        username: size(string(), 3, 20),
-        email: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
-        password: size(string(), 8, 100),
-        confirmPassword: string(),
-        age: min(max(integer(), 120), 18),
-        acceptTerms: boolean(),
-        ipAddress: string()
+const superstructAsyncSchemaBuilders = {
+    userRegistration: () => ({
+        struct: object({
+            username: size(string(), 3, 20),
+            email: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
+            password: size(string(), 8, 100),
+            confirmPassword: string(),
+            age: min(max(integer(), 120), 18),
+            acceptTerms: boolean(),
+            ipAddress: string()
+        }),
+        // Manual async validations
+        asyncCheck: async (data) => {
+            const usernameCheck = await asyncValidators.usernameAvailable(data.username);
+            if (usernameCheck !== true) return usernameCheck;
+
+            const emailCheck = await asyncValidators.emailUnique(data.email);
+            if (emailCheck !== true) return emailCheck;
+
+            const domainCheck = await asyncValidators.companyDomain(data.email);
+            if (domainCheck !== true) return domainCheck;
+
+            const ipCheck = await asyncValidators.ipNotBlocked(data.ipAddress);
+            if (ipCheck !== true) return ipCheck;
+
+            if (data.password !== data.confirmPassword) return 'Passwords don\'t match';
+            if (data.acceptTerms !== true) return 'Must accept terms';
+
+            return true;
+        }
     }),
 
-    payment: object({
-        cardNumber: string(),
-        expiryMonth: min(max(integer(), 12), 1),
-        expiryYear: min(max(integer(), 2030), 2024),
-        cvv: size(string(), 3, 3),
-        amount: min(max(number(), 10000), 0.01),
-        currency: enums(["USD", "EUR", "GBP"]),
-        merchantEmail: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
-        customerIP: string()
+    payment: () => ({
+        struct: object({
+            cardNumber: string(),
+            expiryMonth: min(max(integer(), 12), 1),
+            expiryYear: min(max(integer(), 2030), 2024),
+            cvv: size(string(), 3, 3),
+            amount: min(max(number(), 10000), 0.01),
+            currency: enums(["USD", "EUR", "GBP"]),
+            merchantEmail: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
+            customerIP: string()
+        }),
+        asyncCheck: async (data) => {
+            const cardCheck = await asyncValidators.cardValid(data.cardNumber);
+            if (cardCheck !== true) return cardCheck;
+
+            const domainCheck = await asyncValidators.companyDomain(data.merchantEmail);
+            if (domainCheck !== true) return domainCheck;
+
+            const ipCheck = await asyncValidators.ipNotBlocked(data.customerIP);
+            if (ipCheck !== true) return ipCheck;
+
+            return true;
+        }
     }),
 
-    bulkUsers: array(object({
-        id: string(),
-        username: size(string(), 3, 20),
-        email: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
-        department: enums(["IT", "HR", "Finance", "Marketing"]),
-        role: enums(["admin", "user", "viewer"]),
-        active: boolean()
-    }))
+    bulkUsers: () => ({
+        struct: array(object({
+            id: string(),
+            username: size(string(), 3, 20),
+            email: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
+            department: enums(["IT", "HR", "Finance", "Marketing"]),
+            role: enums(["admin", "user", "viewer"]),
+            active: boolean()
+        })),
+        // Check each user's async validations
+        asyncCheck: async (data) => {
+            for (const user of data) {
+                const usernameCheck = await asyncValidators.usernameAvailable(user.username);
+                if (usernameCheck !== true) return usernameCheck;
+
+                const emailCheck = await asyncValidators.emailUnique(user.email);
+                if (emailCheck !== true) return emailCheck;
+            }
+
+            return true;
+        }
+    })
 };
 
 // =============================================================================
 // VALIDANT ASYNC SCHEMAS
 // =============================================================================
 
-const validantAsyncSchemas = {
-    userRegistration: {
+const validantAsyncSchemaBuilders = {
+    userRegistration: () => ({
         username: [
             required(),
             stringMinLen(3),
@@ -431,7 +516,7 @@ const validantAsyncSchemas = {
                 }
             }
         ],
-        age: [required(), isNumber(), minNumber(18), maxNumber(120)],
+        age: [required(), isNumber(), wholeNumber(), minNumber(18), maxNumber(120)],
         acceptTerms: [
             required(),
             (acceptTerms) => {
@@ -457,9 +542,9 @@ const validantAsyncSchemas = {
                 }
             }
         ]
-    },
+    }),
 
-    payment: {
+    payment: () => ({
         cardNumber: [
             required(),
             async (card) => {
@@ -473,8 +558,8 @@ const validantAsyncSchemas = {
                 }
             }
         ],
-        expiryMonth: [required(), isNumber(), minNumber(1), maxNumber(12)],
-        expiryYear: [required(), isNumber(), minNumber(2024), maxNumber(2030)],
+        expiryMonth: [required(), isNumber(), wholeNumber(), minNumber(1), maxNumber(12)],
+        expiryYear: [required(), isNumber(), wholeNumber(), minNumber(2024), maxNumber(2030)],
         cvv: [required(), stringMinLen(3), stringMaxLen(3)],
         amount: [required(), isNumber(), minNumber(0.01), maxNumber(10000)],
         currency: [required(), elementOf(["USD", "EUR", "GBP"])],
@@ -505,9 +590,9 @@ const validantAsyncSchemas = {
                 }
             }
         ]
-    },
+    }),
 
-    bulkUsers: {
+    bulkUsers: () => ({
         users: {
             arrayElementRule: {
                 id: [required()],
@@ -545,202 +630,75 @@ const validantAsyncSchemas = {
                 active: [required()]
             }
         }
-    }
+    })
 };
 
 // =============================================================================
-// VALIDATION FUNCTIONS
+// SUITE DEFINITION
 // =============================================================================
 
-const validationFunctions = {
-    // Zod async validation
-    zod: {
-        userRegistration: async (data) => {
-            try {
-                await zodAsyncSchemas.userRegistration.parseAsync(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        payment: async (data) => {
-            try {
-                await zodAsyncSchemas.payment.parseAsync(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        bulkUsers: async (data) => {
-            try {
-                await zodAsyncSchemas.bulkUsers.parseAsync(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        }
-    },
-
-    // Joi async validation
-    joi: {
-        userRegistration: async (data) => {
-            try {
-                await joiAsyncSchemas.userRegistration.validateAsync(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        payment: async (data) => {
-            try {
-                await joiAsyncSchemas.payment.validateAsync(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        bulkUsers: async (data) => {
-            try {
-                await joiAsyncSchemas.bulkUsers.validateAsync(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        }
-    },
-
-    // Yup async validation
-    yup: {
-        userRegistration: async (data) => {
-            try {
-                await yupAsyncSchemas.userRegistration.validate(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        payment: async (data) => {
-            try {
-                await yupAsyncSchemas.payment.validate(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        bulkUsers: async (data) => {
-            try {
-                await yupAsyncSchemas.bulkUsers.validate(data);
-                return true;
-            } catch (error) {
-                return false;
-            }
-        }
-    },
-
-    // Superstruct async validation (manual async checks)
-    superstruct: {
-        userRegistration: async (data) => {
-            try {
-                assert(data, superstructAsyncSchemas.userRegistration);
-
-                // Manual async validations
-                const usernameCheck = await asyncValidators.usernameAvailable(data.username);
-                if (usernameCheck !== true) return false;
-
-                const emailCheck = await asyncValidators.emailUnique(data.email);
-                if (emailCheck !== true) return false;
-
-                const domainCheck = await asyncValidators.companyDomain(data.email);
-                if (domainCheck !== true) return false;
-
-                const ipCheck = await asyncValidators.ipNotBlocked(data.ipAddress);
-                if (ipCheck !== true) return false;
-
-                if (data.password !== data.confirmPassword) return false;
-                if (data.acceptTerms !== true) return false;
-
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        payment: async (data) => {
-            try {
-                assert(data, superstructAsyncSchemas.payment);
-
-                const cardCheck = await asyncValidators.cardValid(data.cardNumber);
-                if (cardCheck !== true) return false;
-
-                const domainCheck = await asyncValidators.companyDomain(data.merchantEmail);
-                if (domainCheck !== true) return false;
-
-                const ipCheck = await asyncValidators.ipNotBlocked(data.customerIP);
-                if (ipCheck !== true) return false;
-
-                return true;
-            } catch (error) {
-                return false;
-            }
-        },
-        bulkUsers: async (data) => {
-            try {
-                assert(data, superstructAsyncSchemas.bulkUsers);
-
-                // Check each user's async validations
-                for (const user of data) {
-                    const usernameCheck = await asyncValidators.usernameAvailable(user.username);
-                    if (usernameCheck !== true) return false;
-
-                    const emailCheck = await asyncValidators.emailUnique(user.email);
-                    if (emailCheck !== true) return false;
-                }
-
-                return true;
-            } catch (error) {
-                return false;
-            }
-        }
-    },
-
-    // Validant async validation
-    validant: {
-        userRegistration: async (data) => {
-            try {
-                const validator = new AsyncValidator();
-                const result = await validator.validateAsync(data, validantAsyncSchemas.userRegistration);
-                return result.isValid;
-            } catch (error) {
-                return false;
-            }
+const suite = withSchemas({
+    id: 'async',
+    name: 'Async Validation Library Benchmark',
+    mode: 'async',
+    scenarios: [
+        {
+            id: 'async-user-registration',
+            name: 'User Registration (Async)',
+            description: 'Username availability + Email uniqueness + Domain validation + IP check',
+            data: userRegistrationData,
+            services: asyncServices,
+            schemaBuilders: {
+                zod: zodAsyncSchemaBuilders.userRegistration,
+                joi: joiAsyncSchemaBuilders.userRegistration,
+                yup: yupAsyncSchemaBuilders.userRegistration,
+                superstruct: superstructAsyncSchemaBuilders.userRegistration,
+                validant: validantAsyncSchemaBuilders.userRegistration
+            },
+            invalidFixtures: userRegistrationFixtures
         },
-        payment: async (data) => {
-            try {
-                const validator = new AsyncValidator();
-                const result = await validator.validateAsync(data, validantAsyncSchemas.payment);
-                return result.isValid;
-            } catch (error) {
-                return false;
-            }
+        {
+            id: 'async-payment',
+            name: 'Payment Processing (Async)',
+            description: 'Credit card validation + Merchant domain + IP blacklist check',
+            data: paymentData,
+            services: asyncServices,
+            schemaBuilders: {
+                zod: zodAsyncSchemaBuilders.payment,
+                joi: joiAsyncSchemaBuilders.payment,
+                yup: yupAsyncSchemaBuilders.payment,
+                superstruct: superstructAsyncSchemaBuilders.payment,
+                validant: validantAsyncSchemaBuilders.payment
+            },
+            invalidFixtures: paymentFixtures
         },
-        bulkUsers: async (data) => {
-            try {
-                const validator = new AsyncValidator();
-                // Wrap the array data for validant
-                const wrappedData = { users: data };
-                const result = await validator.validateAsync(wrappedData, validantAsyncSchemas.bulkUsers);
-                return result.isValid;
-            } catch (error) {
-                return false;
-            }
+        {
+            id: 'async-bulk-import',
+            name: 'Bulk User Import (Async)',
+            description: 'Array of 10 users with username/email uniqueness checks',
+            data: bulkUserData,
+            scaleData: generateBulkUsers,
+            services: asyncServices,
+            schemaBuilders: {
+                zod: zodAsyncSchemaBuilders.bulkUsers,
+                joi: joiAsyncSchemaBuilders.bulkUsers,
+                yup: yupAsyncSchemaBuilders.bulkUsers,
+                superstruct: superstructAsyncSchemaBuilders.bulkUsers,
+                validant: validantAsyncSchemaBuilders.bulkUsers
+            },
+            validFixtures: [{ id: 'bulk-valid-users', label: 'Users the fixtures start from', data: validBulkUsers }],
+            invalidFixtures: bulkUserFixtures,
+            // The first two users have taken emails
+            expectFailure: true
         }
-    }
-};
+    ]
+});
 
 // =============================================================================
 // BENCHMARK EXECUTION
 // =============================================================================
 
-async function runAsyncBenchmarks() {
+async function runAsyncBenchmarks(options = {}) {
     console.log('\n🚀 Async Validation Library Benchmark\n');
     console.log('Testing 4 libraries with realistic async validation scenarios:');
     console.log('- zod (with async refinements)');
@@ -752,89 +710,9 @@ async function runAsyncBenchmarks() {
     console.log('Note: fastest-validator excluded (no native async support)\n');
     console.log('='.repeat(80));
 
-    const scenarios = [
-        {
-            name: 'User Registration (Async)',
-            description: 'Username availability + Email uniqueness + Domain validation + IP check',
-            data: userRegistrationData,
-            key: 'userRegistration'
-        },
-        {
-            name: 'Payment Processing (Async)',
-            description: 'Credit card validation + Merchant domain + IP blacklist check',
-            data: paymentData,
-            key: 'payment'
-        },
-        {
-            name: 'Bulk User Import (Async)',
-            description: 'Array of 10 users with username/email uniqueness checks',
-            data: bulkUserData,
-            key: 'bulkUsers'
-        }
-    ];
-
-    for (const scenario of scenarios) {
-        console.log(`\n📊 ${scenario.name}`);
-        console.log(`📝 ${scenario.description}`);
-        console.log('-'.repeat(80));
-
-        // Test that all validations work first
-        console.log('\n🧪 Testing validation functions...');
-        const libraries = ['zod', 'joi', 'yup', 'superstruct', 'validant'];
-
-        for (const lib of libraries) {
-            try {
-                const result = await validationFunctions[lib][scenario.key](scenario.data);
-                console.log(`   ✅ ${lib}: ${result ? 'PASS' : 'FAIL (expected for some test data)'}`);
-            } catch (error) {
-                console.log(`   ❌ ${lib}: ERROR - ${error.message}`);
-            }
-        }
-
-        console.log('\n⏱️  Running benchmarks...\n');
-
-        // Create benchmark suite
-        const suite = new Benchmark.Suite();
-
-        // Add async benchmark tests
-        for (const lib of libraries) {
-            suite.add(lib, {
-                defer: true,
-                fn: async function (deferred) {
-                    try {
-                        await validationFunctions[lib][scenario.key](scenario.data);
-                        deferred.resolve();
-                    } catch (error) {
-                        deferred.resolve();
-                    }
-                }
-            });
-        }
-
-        // Run the benchmark
-        await new Promise((resolve) => {
-            suite
-                .on('cycle', function (event) {
-                    const benchmark = event.target;
-                    const opsPerSec = benchmark.hz;
-                    const rme = benchmark.stats.rme;
-                    const samples = benchmark.stats.sample.length;
-
-                    console.log(`${benchmark.name.padEnd(12)} | ${opsPerSec.toLocaleString('en-US', {
-                        minimumFractionDigits: 0,
-                        maximumFractionDigits: 0
-                    }).padStart(8)} ops/sec | ±${rme.toFixed(2)}% | ${samples} samples`);
-                })
-                .on('complete', function () {
-                    const fastest = this.filter('fastest')[0];
-                    const slowest = this.filter('slowest')[0];
-                    const speedup = (fastest.hz / slowest.hz).toFixed(1);
-
-                    console.log(`\n🏆 Winner: ${fastest.name} (${speedup}x faster than slowest)`);
-                    resolve();
-                })
-                .run({ async: true });
-        });
+    const results = [];
+    for (const scenario of suite.scenarios) {
+        results.push(...await runScenario(suite, scenario, options));
     }
 
     console.log('\n' + '='.repeat(80));
@@ -845,6 +723,8 @@ async function runAsyncBenchmarks() {
     console.log('• Manual async validation (superstruct) adds overhead');
     console.log('• Real-world performance will vary based on actual API response times');
     console.log('='.repeat(80));
+
+    return results;
 }
 
 // Run the benchmarks
@@ -852,4 +732,4 @@ if (require.main === module) {
     runAsyncBenchmarks().catch(console.error);
 }
 
-module.exports = { runAsyncBenchmarks }; 
\ No newline at end of file
+module.exports = { suite, runAsyncBenchmarks };
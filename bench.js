@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/**
+ * Unified Benchmark Runner
+ *
+ * Discovers every benchmark suite in the repository and runs the selected
+ * libraries and scenarios with a shared set of timing options.
+ *
+ * Usage:
+ *   node bench.js [options]
+ *
+ * Examples:
+ *   node bench.js --library validant --scenario "Bulk Data Processing" --time 500
+ *   node bench.js -l zod,validant -s async-payment --iterations 20
+ *   node --expose-gc bench.js --memory -s bulk-data
+ *   node bench.js --seed 1234 --json results.json
+ *   node bench.js -s async --latency zero
+ *   node bench.js --load --concurrency 50 --time 10000
+ *   node bench.js -s insurance --faults "validateVIN:reject:0.1"
+ *   node bench.js -s async --http --latency zero
+ *   node bench.js -s user-registration --errors 1,5,all
+ *   node --expose-gc bench.js --isolate --memory
+ *   node bench.js --json results.json
+ *   node bench.js --json - > results.json    (progress goes to stderr)
+ *   node bench.js --list
+ *
+ * Scenarios that expose their async services get a schema parity check first
+ * (see lib/parity.js). With --json, results are not written when libraries
+ * read a different number of fields or make different service calls.
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter, listAdapters, schemaFor } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { runScenario } = require("./lib/runners");
+const { createResultSet, writeResultSet } = require("./lib/results");
+const { checkParity, totalCalls, findParityMismatches } = require("./lib/parity");
+const { DEFAULT_SEED, setSeed } = require("./lib/random");
+const { DEFAULT_PROFILE, PROFILES, setLatencyProfile } = require("./lib/latency");
+const { DEFAULT_CONCURRENCY, DEFAULT_DURATION } = require("./lib/load");
+const { parseFaultSpec } = require("./lib/faults");
+const { serveOverHttp } = require("./lib/http-services");
+const { runIsolatedScenario } = require("./lib/isolation");
+const { parseErrorCounts, withErrorVariants } = require("./lib/error-paths");
+const { describeEnvironment, summarizeEnvironment } = require("./lib/environment");
+const { splitList, parseInteger, progressLogger } = require("./lib/cli");
+
+const USAGE = `Usage: node bench.js [options]
+
+Options:
+  -l, --library <names>    Libraries to run, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name fragments, comma separated or repeated (default: all)
+      --time <ms>          Time budget per task in milliseconds
+      --iterations <n>     Minimum iterations (sync) / samples (async) per task
+      --warmup <n>         Warmup iterations per task, 0 disables warmup
+      --load               Run async scenarios as concurrent load (sync scenarios are skipped);
+                           --time is then the duration per library (default: ${DEFAULT_DURATION})
+      --concurrency <n>    Validations in flight in load mode (default: ${DEFAULT_CONCURRENCY})
+      --requests <n>       In load mode, stop after this many validations instead of after --time
+      --histogram          Print a latency histogram per library
+      --memory             Measure allocations, retained heap and GC activity per library
+                           (run node with --expose-gc to collect garbage between libraries)
+      --memory-iterations <n>  Validations per library for the memory measurement
+      --latency <profile>  Mock service latency profile for async scenarios (default: ${DEFAULT_PROFILE}):
+${Object.entries(PROFILES).map(([name, profile]) => `                             ${name.padEnd(11)} ${profile.description}`).join("\n")}
+      --isolate            Run every library of every scenario in its own child process,
+                           with the same Node flags, so libraries do not share JIT state or heap
+      --http               Serve the mock services from a local HTTP server and call them with fetch
+      --faults <spec>      Make mock services fail while async scenarios are timed, as
+                           service:kind[:rate],... with kind reject, throw or malformed
+                           and service a method name or * (see node faults.js)
+      --errors <counts>    Also benchmark invalid variants of each scenario with this many failing
+                           fields, comma separated ("all" for every field with an invalid fixture),
+                           in abort-early and collect-all mode (see lib/error-paths.js)
+      --seed <n>           Seed for generated test data, mock service jitter and faults (default: ${DEFAULT_SEED})
+      --json <file|->      Write machine-readable results to a file, or "-" for stdout
+      --list               List suites and scenarios, then exit
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+    library: { type: "string", short: "l", multiple: true },
+    scenario: { type: "string", short: "s", multiple: true },
+    time: { type: "string" },
+    iterations: { type: "string" },
+    warmup: { type: "string" },
+    load: { type: "boolean" },
+    concurrency: { type: "string" },
+    requests: { type: "string" },
+    histogram: { type: "boolean" },
+    memory: { type: "boolean" },
+    "memory-iterations": { type: "string" },
+    seed: { type: "string" },
+    latency: { type: "string" },
+    faults: { type: "string" },
+    http: { type: "boolean" },
+    isolate: { type: "boolean" },
+    errors: { type: "string" },
+    json: { type: "string" },
+    list: { type: "boolean" },
+    help: { type: "boolean", short: "h" }
+};
+
+function parseFaults(spec) {
+    if (spec === undefined) return undefined;
+    const faults = parseFaultSpec(spec);
+    // A validation that never settles would stall the benchmark for good
+    if (faults.some(fault => fault.kind === "hang")) {
+        throw new Error("--faults cannot inject hangs into a timed run; use node faults.js to see how libraries handle them");
+    }
+    return faults;
+}
+
+// Options the parent of an isolated run sets itself for each child
+const NOT_FORWARDED = new Set(["library", "scenario", "json", "list", "help", "isolate", "errors"]);
+
+function parseOptions(argv) {
+    const { values, tokens } = parseArgs({ args: argv, options: OPTIONS, strict: true, tokens: true });
+
+    const libraries = splitList(values.library);
+    libraries?.forEach(getAdapter);
+
+    return {
+        help: values.help,
+        list: values.list,
+        json: values.json,
+        scenarios: splitList(values.scenario),
+        seed: parseInteger("seed", values.seed, DEFAULT_SEED, 0),
+        latency: values.latency ?? DEFAULT_PROFILE,
+        http: values.http,
+        isolate: values.isolate,
+        errors: values.errors === undefined ? undefined : parseErrorCounts(values.errors),
+        childArgs: tokens
+            .filter(token => token.kind === "option" && !NOT_FORWARDED.has(token.name))
+            .flatMap(token => (token.value === undefined ? [token.rawName] : [token.rawName, token.value])),
+        runOptions: {
+            libraries,
+            time: parseInteger("time", values.time, undefined, 1),
+            iterations: parseInteger("iterations", values.iterations, undefined, 1),
+            warmup: parseInteger("warmup", values.warmup, undefined, 0),
+            load: values.load,
+            concurrency: parseInteger("concurrency", values.concurrency, undefined, 1),
+            requests: parseInteger("requests", values.requests, undefined, 1),
+            histogram: values.histogram,
+            memory: values.memory,
+            memoryIterations: parseInteger("memory-iterations", values["memory-iterations"], undefined, 1),
+            faults: parseFaults(values.faults)
+        }
+    };
+}
+
+function listSuites(suites) {
+    for (const suite of suites) {
+        console.log(`\n${suite.name} (${suite.file}, ${suite.mode})`);
+        for (const scenario of suite.scenarios) {
+            const libraries = listAdapters()
+                .filter(adapter => schemaFor(scenario.schemaBuilders, adapter)
+                    && (!scenario.errorMode || adapter.errorModes.includes(scenario.errorMode)))
+                .map(adapter => adapter.name)
+                .join(", ");
+            console.log(`  ${scenario.id.padEnd(26)} ${scenario.name.padEnd(30)} [${libraries}]`);
+        }
+    }
+}
+
+/**
+ * Prints the parity profile of every scenario exposing its services and
+ * returns the mismatches found on data all libraries accept.
+ */
+async function checkSuiteParity(suites, libraries) {
+    const mismatches = [];
+
+    for (const suite of suites) {
+        // Error variants fail on purpose, so their counts say nothing about parity
+        for (const scenario of suite.scenarios.filter(scenario => scenario.services && !scenario.errorMode)) {
+            const profiles = await checkParity(scenario, { libraries });
+            if (profiles.length < 2) continue;
+
+            const comparable = profiles.every(profile => profile.valid);
+            const differing = new Set(findParityMismatches(profiles).map(profile => profile.library));
+
+            console.log(`\n⚖️  Schema parity: ${scenario.name}`);
+            for (const profile of profiles) {
+                const calls = Object.entries(profile.calls)
+                    .filter(([, count]) => count > 0)
+                    .map(([service, count]) => `${service}×${count}`)
+                    .join(", ");
+                const icon = !differing.has(profile.library) ? "✅" : comparable ? "❌" : "⚠️ ";
+                console.log(`   ${icon} ${profile.library.padEnd(18)}: ${String(profile.fields).padStart(3)} fields | ${String(totalCalls(profile)).padStart(3)} service calls${calls ? ` (${calls})` : ""}`);
+            }
+
+            if (differing.size === 0) continue;
+            if (comparable) {
+                mismatches.push({ scenario, libraries: [...differing] });
+            } else {
+                console.log("   ℹ️  Counts differ on invalid data; libraries that stop at the first error make fewer calls");
+            }
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Starts one HTTP stand-in per distinct services object of the suites and
+ * resolves to the started servers.
+ */
+async function serveSuiteServices(suites) {
+    const services = new Set(suites.flatMap(suite => suite.scenarios.map(scenario => scenario.services).filter(Boolean)));
+    const servers = [];
+    for (const serviceObject of services) {
+        servers.push(await serveOverHttp(serviceObject));
+    }
+    return servers;
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // Suites generate their data when loaded, so seed before discovering them
+    setSeed(options.seed);
+    setLatencyProfile(options.latency);
+    let suites = discoverSuites();
+    if (options.errors) suites = suites.map(suite => withErrorVariants(suite, options.errors));
+    suites = filterSuites(suites, options.scenarios);
+    if (options.runOptions.load && !options.list) {
+        const skipped = suites.filter(suite => suite.mode !== "async");
+        if (skipped.length > 0) {
+            console.error(`ℹ️  Load mode runs async scenarios only; skipping ${skipped.map(suite => suite.name).join(", ")}`);
+        }
+        suites = suites.filter(suite => suite.mode === "async");
+    }
+
+    if (options.list) {
+        listSuites(suites);
+        return;
+    }
+
+    if (suites.length === 0) {
+        throw new Error(`No scenario matches: ${options.scenarios.join(", ")}`);
+    }
+
+    console.log = progressLogger(options.json);
+
+    console.log("🚀 Validation Library Benchmark");
+    console.log("=".repeat(60));
+    console.log(`Node.js: ${process.version}`);
+    console.log(`Machine: ${summarizeEnvironment(describeEnvironment())}`);
+    console.log(`Seed: ${options.seed}`);
+    console.log(`Service latency: ${options.latency}`);
+    if (options.isolate) console.log("Isolation: one child process per library and scenario");
+    if (options.errors) console.log(`Error paths: ${options.errors.join(", ")} failing field(s), abort-early and collect-all`);
+    if (options.runOptions.faults) {
+        console.log(`Faults: ${options.runOptions.faults.map(fault => `${fault.service}:${fault.kind}:${fault.rate}`).join(", ")}`);
+    }
+
+    const servers = options.http ? await serveSuiteServices(suites) : [];
+    try {
+        if (options.http) {
+            console.log(`Services: HTTP via ${servers.map(server => server.url).join(", ") || "no scenario exposes its services"}`);
+        }
+        return await runSuites(suites, options);
+    } finally {
+        await Promise.all(servers.map(server => server.close()));
+    }
+}
+
+/**
+ * Checks schema parity, runs every scenario and writes the result set.
+ */
+async function runSuites(suites, options) {
+    const parityMismatches = await checkSuiteParity(suites, options.runOptions.libraries);
+    if (parityMismatches.length > 0 && options.json) {
+        const details = parityMismatches
+            .map(({ scenario, libraries }) => `${scenario.name} (${libraries.join(", ")})`)
+            .join("; ");
+        throw new Error(`Schema parity check failed for ${details}; refusing to publish results`);
+    }
+
+    const results = [];
+    for (const suite of suites) {
+        console.log(`\n${"=".repeat(60)}`);
+        console.log(`📦 ${suite.name}`);
+        console.log("=".repeat(60));
+
+        for (const scenario of suite.scenarios) {
+            results.push(...await (options.isolate
+                ? runIsolatedScenario(suite, scenario, options.runOptions, options.childArgs)
+                : runScenario(suite, scenario, options.runOptions)));
+        }
+    }
+
+    console.log(`\n${"=".repeat(60)}`);
+    console.log("🎯 Benchmark run complete!");
+
+    const resultSet = createResultSet(results, {
+        ...options.runOptions,
+        scenarios: options.scenarios,
+        seed: options.seed,
+        latency: options.latency,
+        http: options.http,
+        isolate: options.isolate,
+        errors: options.errors
+    });
+    if (options.json) {
+        writeResultSet(resultSet, options.json);
+        if (options.json !== "-") console.log(`💾 Results written to ${options.json}`);
+    }
+
+    return resultSet;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        console.error(`\n${USAGE}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { main, parseOptions };
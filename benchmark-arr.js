@@ -0,0 +1,266 @@
+/**
+ * Nested Array Validation Benchmark
+ *
+ * This benchmark validates batches of records whose line items nest arrays
+ * to a configurable depth:
+ *
+ *   record.items[] -> item.items[] -> item.items[] -> ... (depth levels)
+ *
+ * Every level holds ITEMS_PER_LEVEL items, so a record carries
+ * ITEMS_PER_LEVEL + ITEMS_PER_LEVEL² + ... + ITEMS_PER_LEVEL^depth items.
+ * It represents deeply nested payloads that the flat 50-item bulk scenario
+ * does not cover.
+ *
+ * Usage:
+ *   node benchmark-arr.js
+ *   node --max-old-space-size=4096 benchmark-arr.js --records=2000 --depth=5
+ */
+
+const { parseArgs } = require("util");
+const { z } = require("zod");
+const Joi = require("joi");
+const { required, minNumber, maxNumber, stringMinLen, stringMaxLen, arrayMinLen, isNumber, isString } = require("validant");
+const yup = require("yup");
+const { string, number, integer, array, object, size, min, max } = require("superstruct");
+const { runScenario } = require("./lib/runners");
+const { withScenarioSchemas } = require("./lib/schemas");
+const { wholeNumber, whenPresent, whenString } = require("./lib/validant-rules");
+const { invalidFixture } = require("./lib/conformance");
+const { parseInteger } = require("./lib/cli");
+
+const DEFAULT_RECORDS = 100;
+const DEFAULT_DEPTH = 3;
+const ITEMS_PER_LEVEL = 2;
+
+// =============================================================================
+// TEST DATA
+// =============================================================================
+
+function generateItems(level, depth, path) {
+    return Array.from({ length: ITEMS_PER_LEVEL }, (_, i) => {
+        const item = {
+            sku: `SKU-${path}${i}`,
+            quantity: (i % 10) + 1,
+            price: 9.99 + level + i
+        };
+        if (level < depth) {
+            item.items = generateItems(level + 1, depth, `${path}${i}-`);
+        }
+        return item;
+    });
+}
+
+function generateNestedRecords(records, depth) {
+    return Array.from({ length: records }, (_, i) => ({
+        id: `rec_${i + 1}`,
+        customer: `customer_${i % 50}`,
+        items: generateItems(1, depth, `${i}-`)
+    }));
+}
+
+function countItems(depth) {
+    let total = 0;
+    for (let level = 1; level <= depth; level++) {
+        total += ITEMS_PER_LEVEL ** level;
+    }
+    return total;
+}
+
+// =============================================================================
+// VALIDATION SCHEMAS
+// =============================================================================
+// Each builder returns the schema of an item at `level`; items above the
+// deepest level carry a non-empty `items` array of the next level.
+
+function zodItem(level, depth) {
+    const shape = {
+        sku: z.string().min(3).max(40),
+        quantity: z.number().int().min(1).max(1000),
+        price: z.number().min(0)
+    };
+    if (level < depth) shape.items = z.array(zodItem(level + 1, depth)).min(1);
+    return z.object(shape);
+}
+
+function joiItem(level, depth) {
+    const keys = {
+        sku: Joi.string().min(3).max(40).required(),
+        quantity: Joi.number().integer().min(1).max(1000).required(),
+        price: Joi.number().min(0).required()
+    };
+    if (level < depth) keys.items = Joi.array().items(joiItem(level + 1, depth)).min(1).required();
+    return Joi.object(keys);
+}
+
+function validantItem(level, depth) {
+    const rule = {
+        sku: [required(), isString(), ...whenString(stringMinLen(3), stringMaxLen(40))],
+        quantity: [required(), isNumber(), wholeNumber(), minNumber(1), maxNumber(1000)],
+        price: [required(), isNumber(), minNumber(0)]
+    };
+    if (level < depth) {
+        rule.items = {
+            arrayRules: [arrayMinLen(1)],
+            arrayElementRule: validantItem(level + 1, depth)
+        };
+    }
+    return rule;
+}
+
+function yupItem(level, depth) {
+    const shape = {
+        sku: yup.string().min(3).max(40).required(),
+        quantity: yup.number().integer().min(1).max(1000).required(),
+        price: yup.number().min(0).required()
+    };
+    if (level < depth) shape.items = yup.array().of(yupItem(level + 1, depth)).min(1).required();
+    return yup.object(shape);
+}
+
+function superstructItem(level, depth) {
+    const shape = {
+        sku: size(string(), 3, 40),
+        quantity: min(max(integer(), 1000), 1),
+        price: min(number(), 0)
+    };
+    if (level < depth) shape.items = size(array(superstructItem(level + 1, depth)), 1, Infinity);
+    return object(shape);
+}
+
+function fastestValidatorItem(level, depth) {
+    const props = {
+        sku: { type: "string", min: 3, max: 40 },
+        quantity: { type: "number", integer: true, min: 1, max: 1000 },
+        price: { type: "number", min: 0 }
+    };
+    if (level < depth) props.items = { type: "array", min: 1, items: fastestValidatorItem(level + 1, depth) };
+    return { type: "object", props };
+}
+
+function createNestedArraySchemaBuilders(depth) {
+    return {
+        zod: () => z.array(z.object({
+            id: z.string(),
+            customer: z.string().min(1),
+            items: z.array(zodItem(1, depth)).min(1)
+        })),
+
+        joi: () => Joi.array().items(Joi.object({
+            id: Joi.string().required(),
+            customer: Joi.string().min(1).required(),
+            items: Joi.array().items(joiItem(1, depth)).min(1).required()
+        })),
+
+        validant: () => ({
+            records: {
+                arrayElementRule: {
+                    id: [required()],
+                    customer: [required(), ...whenPresent(stringMinLen(1))],
+                    items: {
+                        arrayRules: [arrayMinLen(1)],
+                        arrayElementRule: validantItem(1, depth)
+                    }
+                }
+            }
+        }),
+
+        yup: () => yup.array().of(yup.object({
+            id: yup.string().required(),
+            customer: yup.string().min(1).required(),
+            items: yup.array().of(yupItem(1, depth)).min(1).required()
+        })),
+
+        superstruct: () => array(object({
+            id: string(),
+            customer: size(string(), 1, Infinity),
+            items: size(array(superstructItem(1, depth)), 1, Infinity)
+        })),
+
+        "fastest-validator": () => ({
+            $$root: true,
+            type: "array",
+            items: {
+                type: "object",
+                props: {
+                    id: { type: "string" },
+                    customer: { type: "string", min: 1 },
+                    items: { type: "array", min: 1, items: fastestValidatorItem(1, depth) }
+                }
+            }
+        })
+    };
+}
+
+// =============================================================================
+// SUITE DEFINITION
+// =============================================================================
+
+function createNestedArrayFixtures(data, depth) {
+    const deepest = `0.items${".0.items".repeat(depth - 1)}.0`;
+    return [
+        invalidFixture("deep-quantity-0", `Quantity 0 at depth ${depth}`, data, `${deepest}.quantity`, 0),
+        invalidFixture("fractional-quantity", "Fractional quantity", data, "0.items.0.quantity", 1.5),
+        invalidFixture("deep-missing-sku", `Missing sku at depth ${depth}`, data, `${deepest}.sku`, undefined),
+        {
+            ...invalidFixture("numeric-sku", "Numeric sku", data, "0.items.0.sku", 12345),
+            knownDifferences: { yup: "string() casts numbers to strings outside strict mode" }
+        },
+        invalidFixture("empty-items", "Record with no items", data, "0.items", []),
+        invalidFixture("empty-customer", "Empty customer", data, "0.customer", "")
+    ];
+}
+
+function createNestedArrayScenario({ records = DEFAULT_RECORDS, depth = DEFAULT_DEPTH } = {}) {
+    const data = generateNestedRecords(records, depth);
+    return withScenarioSchemas({
+        id: "nested-array",
+        name: "Nested Array Processing",
+        description: `${records} records with line items nested ${depth} levels deep (${countItems(depth)} items per record)`,
+        data,
+        schemaBuilders: createNestedArraySchemaBuilders(depth),
+        invalidFixtures: createNestedArrayFixtures(data, depth)
+    });
+}
+
+const suite = {
+    id: "nested-array",
+    name: "Nested Array Validation Benchmark",
+    mode: "sync",
+    scenarios: [createNestedArrayScenario()]
+};
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+async function runNestedArrayBenchmark({ records = DEFAULT_RECORDS, depth = DEFAULT_DEPTH, ...options } = {}) {
+    console.log("🚀 Nested Array Validation Benchmark");
+    console.log("=".repeat(60));
+    console.log(`Node.js: ${process.version}`);
+    console.log(`Records: ${records}, depth: ${depth}, items per level: ${ITEMS_PER_LEVEL}\n`);
+
+    const scenario = createNestedArrayScenario({ records, depth });
+    return runScenario(suite, scenario, options);
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const { values } = parseArgs({
+                options: {
+                    records: { type: "string" },
+                    depth: { type: "string" }
+                }
+            });
+            await runNestedArrayBenchmark({
+                records: parseInteger("records", values.records, DEFAULT_RECORDS, 1),
+                depth: parseInteger("depth", values.depth, DEFAULT_DEPTH, 1)
+            });
+        } catch (error) {
+            console.error("❌ Benchmark failed:", error);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = { suite, createNestedArrayScenario, generateNestedRecords, runNestedArrayBenchmark };
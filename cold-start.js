@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Cold Start Report
+ *
+ * Measures the cold path of every library, one fresh Node process per
+ * library and scenario: require() time, the first schema build and compile,
+ * and the first validations, next to what building the schema costs once
+ * the process is warm (see lib/cold-start.js).
+ *
+ * Usage:
+ *   node cold-start.js [options]
+ *
+ * Examples:
+ *   node cold-start.js -s simple-person-valid
+ *   node cold-start.js -l zod,fastest-validator --runs 5
+ *   node cold-start.js --json cold-start.json
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter, listAdapters, schemaFor } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { measureColdStart, median } = require("./lib/cold-start");
+const { writeJson } = require("./lib/results");
+const { DEFAULT_SEED } = require("./lib/random");
+const { PROFILES } = require("./lib/latency");
+const { describeEnvironment, summarizeEnvironment } = require("./lib/environment");
+const { formatDuration } = require("./lib/format");
+const { splitList, parseInteger, progressLogger } = require("./lib/cli");
+
+const DEFAULT_RUNS = 3;
+
+const USAGE = `Usage: node cold-start.js [options]
+
+Options:
+  -l, --library <names>    Libraries to measure, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name fragments, comma separated or repeated (default: all)
+      --runs <n>           Fresh processes per library and scenario; timings are medians (default: ${DEFAULT_RUNS})
+      --latency <profile>  Mock service latency profile for async scenarios (default: zero)
+      --seed <n>           Seed for generated test data (default: ${DEFAULT_SEED})
+      --json <file|->      Write the report as JSON to a file, or "-" for stdout
+  -h, --help               Show this help`;
+
+const COLUMNS = [
+    ["buildMs", "build"],
+    ["compileMs", "compile"],
+    ["firstValidationMs", "1st validation"],
+    ["secondValidationMs", "2nd validation"],
+    ["warmBuildMs", "warm build"]
+];
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            scenario: { type: "string", short: "s", multiple: true },
+            runs: { type: "string" },
+            latency: { type: "string" },
+            seed: { type: "string" },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const libraries = splitList(values.library);
+    const adapters = libraries ? libraries.map(getAdapter) : listAdapters();
+    const runs = parseInteger("runs", values.runs, DEFAULT_RUNS, 1);
+    const seed = parseInteger("seed", values.seed, DEFAULT_SEED, 0);
+    const latency = values.latency ?? "zero";
+    if (!PROFILES[latency]) {
+        throw new Error(`Unknown latency profile: ${latency} (available: ${Object.keys(PROFILES).join(", ")})`);
+    }
+
+    const suites = filterSuites(discoverSuites(), splitList(values.scenario));
+    if (suites.length === 0) {
+        throw new Error(`No scenario matches: ${splitList(values.scenario).join(", ")}`);
+    }
+
+    const log = progressLogger(values.json);
+    const environment = describeEnvironment();
+
+    log("❄️  Cold Start Report");
+    log("=".repeat(60));
+    log(`Node.js: ${process.version}`);
+    log(`Machine: ${summarizeEnvironment(environment)}`);
+    log(`Fresh processes per library and scenario: ${runs} (medians shown)`);
+
+    const scenarios = [];
+    const requireTimes = new Map(adapters.map(adapter => [adapter.name, []]));
+    for (const suite of suites) {
+        for (const scenario of suite.scenarios) {
+            const scenarioAdapters = adapters.filter(adapter => schemaFor(scenario.schemaBuilders, adapter));
+            if (scenarioAdapters.length === 0) continue;
+
+            log(`\n🎯 ${scenario.name} (${suite.mode})`);
+            log(`   ${"".padEnd(18)}  ${COLUMNS.map(([, label]) => label.padStart(14)).join(" ")}`);
+
+            const measurements = [];
+            for (const adapter of scenarioAdapters) {
+                const measurement = await measureColdStart(suite, scenario, adapter, { runs, seed, latency });
+                measurements.push(measurement);
+                requireTimes.get(adapter.name).push(...measurement.runs.map(run => run.requireMs));
+                log(`   ${adapter.name.padEnd(18)}: ${COLUMNS.map(([key]) => formatDuration(measurement[key]).padStart(14)).join(" ")}`);
+            }
+
+            const coldest = [...measurements].sort((a, b) =>
+                (b.buildMs + b.compileMs + b.firstValidationMs) - (a.buildMs + a.compileMs + a.firstValidationMs))[0];
+            log(`   🧊 Slowest to first result: ${coldest.library} (${formatDuration(coldest.buildMs + coldest.compileMs + coldest.firstValidationMs)})`);
+            scenarios.push({ suite: suite.id, scenario: scenario.id, scenarioName: scenario.name, mode: suite.mode, measurements });
+        }
+    }
+
+    const requireMs = Object.fromEntries([...requireTimes]
+        .filter(([, times]) => times.length > 0)
+        .map(([library, times]) => [library, median(times)]));
+    log("\n📦 require() per library:");
+    for (const [library, ms] of Object.entries(requireMs).sort((a, b) => a[1] - b[1])) {
+        log(`   ${library.padEnd(18)}: ${formatDuration(ms).padStart(10)}`);
+    }
+
+    if (values.json) {
+        writeJson({ generatedAt: new Date().toISOString(), environment, runs, seed, latency, requireMs, scenarios }, values.json);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        });
+}
+
+module.exports = { main };
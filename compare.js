@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Benchmark Comparison
+ *
+ * Compares two results files written by `node bench.js --json <file>` and
+ * exits with status 1 when a watched library regresses beyond the threshold
+ * or fails preflight where it used to pass.
+ * Warns when the two runs were measured in different environments (see
+ * lib/environment.js), since the change may then not come from the code.
+ *
+ * Usage:
+ *   node compare.js <baseline.json> <current.json> [options]
+ *
+ * Examples:
+ *   node compare.js validant-0.1.7.json validant-0.2.0.json --library validant --threshold 5
+ */
+
+const { parseArgs } = require("util");
+const { readResultSet, writeJson } = require("./lib/results");
+const { VERDICTS, VERDICT_ICONS, compareResultSets, findRegressions, formatChange } = require("./lib/compare");
+const { compareEnvironments, formatFingerprintValue } = require("./lib/environment");
+const { formatOps } = require("./lib/format");
+const { splitList, progressLogger } = require("./lib/cli");
+
+const USAGE = `Usage: node compare.js <baseline.json> <current.json> [options]
+
+Options:
+  -l, --library <names>   Libraries whose regressions fail the run, comma separated (default: all)
+  -t, --threshold <pct>   Minimum significant slowdown, in percent, that counts as a regression (default: 0);
+                          a library that started failing preflight always counts
+      --json <file|->     Write the comparison as JSON to a file, or "-" for stdout
+  -h, --help              Show this help`;
+
+function formatSide(side) {
+    return side && side.opsPerSec !== null ? `${formatOps(side.opsPerSec)} ±${side.rme.toFixed(1)}%` : "—";
+}
+
+function formatCommit(git) {
+    return `${git.commit.slice(0, 10)}${git.dirty ? " (with local changes)" : ""}`;
+}
+
+function printEnvironmentDifferences(baselineSet, currentSet, differences, log) {
+    if (!baselineSet.environment || !currentSet.environment) {
+        log("⚠️  A results file has no environment fingerprint; cannot tell whether both runs are comparable");
+        return;
+    }
+    if (baselineSet.environment.git && currentSet.environment.git) {
+        log(`ℹ️  Commits: ${formatCommit(baselineSet.environment.git)} → ${formatCommit(currentSet.environment.git)}`);
+    }
+    if (differences.length === 0) return;
+
+    log("⚠️  The runs were measured in different environments; changes may not come from the code alone:");
+    for (const difference of differences) {
+        log(`   ${difference.label.padEnd(16)}: ${formatFingerprintValue(difference.baseline)} → ${formatFingerprintValue(difference.current)}`);
+    }
+}
+
+function printComparisons(comparisons, log) {
+    let scenario = null;
+    for (const comparison of comparisons) {
+        if (comparison.scenario !== scenario) {
+            scenario = comparison.scenario;
+            log(`\n📊 ${comparison.scenarioName}`);
+            log("-".repeat(100));
+            log(`${"Library".padEnd(18)} ${"Baseline".padStart(18)} ${"Current".padStart(18)}   ${"Change [95% CI]".padEnd(26)} Verdict`);
+        }
+        log(`${comparison.library.padEnd(18)} ${formatSide(comparison.baseline).padStart(18)} ${formatSide(comparison.current).padStart(18)}   ${formatChange(comparison).padEnd(26)} ${VERDICT_ICONS[comparison.verdict]} ${comparison.verdict}`);
+    }
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            threshold: { type: "string", short: "t" },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 2) {
+        throw new Error("Expected a baseline and a current results file");
+    }
+
+    const threshold = values.threshold === undefined ? 0 : Number(values.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+        throw new Error(`--threshold must be a non-negative number, got "${values.threshold}"`);
+    }
+    const libraries = splitList(values.library);
+
+    const [baselineFile, currentFile] = positionals;
+    const baselineSet = readResultSet(baselineFile);
+    const currentSet = readResultSet(currentFile);
+    const comparisons = compareResultSets(baselineSet, currentSet);
+    const environmentDifferences = compareEnvironments(baselineSet.environment, currentSet.environment);
+    const regressions = findRegressions(comparisons, { libraries, threshold });
+
+    const log = progressLogger(values.json);
+
+    log(`🔍 Comparing ${baselineFile} → ${currentFile}`);
+    printEnvironmentDifferences(baselineSet, currentSet, environmentDifferences, log);
+    printComparisons(comparisons, log);
+
+    log("\n" + "=".repeat(100));
+    if (regressions.length > 0) {
+        log(`❌ ${regressions.length} regression(s) beyond ${threshold}%:`);
+        for (const regression of regressions) {
+            log(`   ${regression.library} on ${regression.scenarioName}: ${regression.verdict === VERDICTS.failed ? "fails preflight" : formatChange(regression)}`);
+        }
+    } else {
+        log(`✅ No significant regressions beyond ${threshold}%${libraries ? ` for ${libraries.join(", ")}` : ""}`);
+    }
+
+    if (values.json) {
+        writeJson({ baseline: baselineFile, current: currentFile, threshold, libraries: libraries || null, environmentDifferences, comparisons, regressions }, values.json);
+    }
+
+    return regressions.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(`\n${USAGE}`);
+        process.exit(2);
+    }
+}
+
+module.exports = { main };
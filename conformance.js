@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Conformance Matrix
+ *
+ * Checks that every library accepts each scenario's data and rejects each of
+ * its labelled invalid fixtures (see lib/conformance.js), prints an
+ * accept/reject matrix per scenario and exits with status 1 when any library
+ * disagrees with the expected outcome, or crashes instead of reporting a
+ * failure. Documented known differences are listed and counted, but do not
+ * fail the run.
+ *
+ * Usage:
+ *   node conformance.js [options]
+ *
+ * Examples:
+ *   node conformance.js
+ *   node conformance.js -s api-payload -l validant,zod
+ *   node conformance.js --json conformance.json
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { checkScenario, isMismatch, findMismatches, findKnownDifferences } = require("./lib/conformance");
+const { writeJson } = require("./lib/results");
+const { splitList, progressLogger } = require("./lib/cli");
+
+const USAGE = `Usage: node conformance.js [options]
+
+Options:
+  -l, --library <names>    Libraries to check, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name substrings, comma separated or repeated (default: all)
+      --json <file|->      Write the matrix as JSON to a file, or "-" for stdout
+  -h, --help               Show this help`;
+
+function formatCell(outcome) {
+    if (!outcome) return "—";
+    const icon = outcome.conforms ? "✅" : outcome.known ? "⚠️" : "❌";
+    return `${icon} ${outcome.crashed ? "crash" : outcome.accepted ? "accept" : "reject"}`;
+}
+
+function printMatrix(scenario, rows, log) {
+    const libraries = Object.keys(rows[0].outcomes);
+    const labelWidth = Math.max(...rows.map(row => row.label.length), 8) + 2;
+
+    log(`\n🎯 ${scenario.name}`);
+    log("─".repeat(labelWidth + 10 + libraries.length * 19));
+    log(`${"Fixture".padEnd(labelWidth)}${"Expected".padEnd(10)}${libraries.map(library => library.padEnd(19)).join("")}`);
+    for (const row of rows) {
+        const cells = libraries.map(library => formatCell(row.outcomes[library]).padEnd(18)).join(" ");
+        log(`${row.label.padEnd(labelWidth)}${(row.expectValid ? "accept" : "reject").padEnd(10)}${cells}`);
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            scenario: { type: "string", short: "s", multiple: true },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const libraries = splitList(values.library);
+    libraries?.forEach(getAdapter);
+    const suites = filterSuites(discoverSuites(), splitList(values.scenario));
+    if (suites.length === 0) {
+        throw new Error("No scenarios match the given filters");
+    }
+
+    const log = progressLogger(values.json);
+
+    log("🔬 Validation Conformance");
+    log("=".repeat(60));
+
+    const scenarios = [];
+    const mismatches = [];
+    const knownDifferences = [];
+    for (const suite of suites) {
+        for (const scenario of suite.scenarios) {
+            const rows = await checkScenario(scenario, { isAsync: suite.mode === "async", libraries });
+            if (rows.length === 0 || Object.keys(rows[0].outcomes).length === 0) continue;
+
+            printMatrix(scenario, rows, log);
+            scenarios.push({ suite: suite.id, scenario: scenario.id, scenarioName: scenario.name, rows });
+            for (const row of findMismatches(rows)) {
+                mismatches.push({ scenario, row });
+            }
+            for (const row of findKnownDifferences(rows)) {
+                knownDifferences.push({ scenario, row });
+            }
+        }
+    }
+
+    log("\n" + "=".repeat(60));
+    const waived = knownDifferences.flatMap(({ scenario, row }) =>
+        Object.entries(row.outcomes)
+            .filter(([, outcome]) => outcome.known)
+            .map(([library, outcome]) => `${scenario.name} / ${row.label}: ${library} - ${outcome.known}`));
+    if (waived.length > 0) {
+        log(`⚠️  ${waived.length} known difference(s), waived:`);
+        for (const line of waived) {
+            log(`   ${line}`);
+        }
+    }
+    if (mismatches.length > 0) {
+        log(`❌ ${mismatches.length} case(s) where libraries disagree with the expected outcome:`);
+        for (const { scenario, row } of mismatches) {
+            const verb = outcome => (outcome.crashed ? "crashed on" : row.expectValid ? "rejected" : "accepted");
+            const offenders = Object.entries(row.outcomes)
+                .filter(([, outcome]) => isMismatch(outcome))
+                .map(([library, outcome]) => `${library} ${verb(outcome)} it`);
+            log(`   ${scenario.name} / ${row.label}: ${offenders.join(", ")}`);
+        }
+    } else if (waived.length > 0) {
+        log(`⚠️  No unexpected disagreements, but libraries still differ on the ${waived.length} waived case(s) above`);
+    } else {
+        log("✅ Every library accepted and rejected the same inputs");
+    }
+
+    if (values.json) {
+        writeJson({ generatedAt: new Date().toISOString(), libraries: libraries || null, scenarios }, values.json);
+    }
+
+    return mismatches.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        });
+}
+
+module.exports = { main };
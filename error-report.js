@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Error Report Comparison
+ *
+ * Shows what each library reports for the same invalid input: for every
+ * invalid fixture of a scenario, and all of them at once, the number of
+ * errors and whether they point at the broken field (see
+ * lib/error-report.js). Lists where libraries disagree on paths or counts
+ * and ends with how well each library's error paths map onto form fields.
+ *
+ * Usage:
+ *   node error-report.js [options]
+ *
+ * Examples:
+ *   node error-report.js
+ *   node error-report.js -s insurance-claim -l joi,validant --errors
+ *   node error-report.js --json error-report.json
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { collectErrorReports, findDisagreements, summarizeMapping } = require("./lib/error-report");
+const { writeJson } = require("./lib/results");
+const { formatPercent } = require("./lib/format");
+const { splitList, progressLogger } = require("./lib/cli");
+
+const USAGE = `Usage: node error-report.js [options]
+
+Options:
+  -l, --library <names>    Libraries to compare, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name substrings, comma separated or repeated (default: all)
+      --errors             Print every normalized error, not only the disagreements
+      --json <file|->      Write the reports as JSON to a file, or "-" for stdout
+  -h, --help               Show this help`;
+
+function formatCell(report) {
+    const icon = report.missed.length > 0 ? "❌" : report.stray.length > 0 ? "⚠️" : "✅";
+    return `${icon} ${report.count}`;
+}
+
+function formatPath(path) {
+    return path === "" ? "(root)" : path;
+}
+
+function printMatrix(scenario, rows, log) {
+    const libraries = Object.keys(rows[0].reports);
+    const labelWidth = Math.max(...rows.map(row => row.label.length), 8) + 2;
+
+    log(`\n🎯 ${scenario.name}`);
+    log("─".repeat(labelWidth + 8 + libraries.length * 19));
+    log(`${"Fixture".padEnd(labelWidth)}${"Fields".padEnd(8)}${libraries.map(library => library.padEnd(19)).join("")}`);
+    for (const row of rows) {
+        const cells = libraries.map(library => formatCell(row.reports[library]).padEnd(18)).join(" ");
+        log(`${row.label.padEnd(labelWidth)}${String(row.fields.length).padEnd(8)}${cells}`);
+    }
+}
+
+/**
+ * Groups the libraries of a row by the paths they reported, e.g.
+ * "vehicle.vin ×1: joi, zod | (root) ×1: superstruct".
+ */
+function describeDisagreement(row) {
+    const groups = new Map();
+    for (const [library, report] of Object.entries(row.reports)) {
+        const key = report.count === 0
+            ? "no errors"
+            : report.paths.map(formatPath).sort().join(", ") + ` ×${report.count}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(library);
+    }
+    return [...groups].map(([key, libraries]) => `${key}: ${libraries.join(", ")}`);
+}
+
+function printErrors(row, log) {
+    log(`\n   ${row.label} (${row.fields.map(formatPath).join(", ")})`);
+    for (const [library, report] of Object.entries(row.reports)) {
+        for (const error of report.errors) {
+            log(`      ${library.padEnd(18)} ${formatPath(error.path).padEnd(28)} ${String(error.rule).padEnd(20)} ${error.message}`);
+        }
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            scenario: { type: "string", short: "s", multiple: true },
+            errors: { type: "boolean" },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const libraries = splitList(values.library);
+    libraries?.forEach(getAdapter);
+    const suites = filterSuites(discoverSuites(), splitList(values.scenario));
+    if (suites.length === 0) {
+        throw new Error("No scenarios match the given filters");
+    }
+
+    const log = progressLogger(values.json);
+
+    log("🧾 Error Report Comparison");
+    log("=".repeat(60));
+    log("Collect-all mode; ✅ errors on the broken fields only, ⚠️ also elsewhere, ❌ a broken field without an error");
+
+    const scenarios = [];
+    for (const suite of suites) {
+        for (const scenario of suite.scenarios) {
+            const rows = await collectErrorReports(scenario, { isAsync: suite.mode === "async", libraries });
+            if (rows.length === 0 || Object.keys(rows[0].reports).length === 0) continue;
+
+            printMatrix(scenario, rows, log);
+            const disagreements = findDisagreements(rows);
+            for (const row of disagreements) {
+                log(`   ↔️  ${row.label}:`);
+                describeDisagreement(row).forEach(line => log(`      ${line}`));
+            }
+            if (values.errors) rows.forEach(row => printErrors(row, log));
+
+            scenarios.push({ suite: suite.id, scenario: scenario.id, scenarioName: scenario.name, rows, disagreements: disagreements.map(row => row.id) });
+        }
+    }
+
+    const mapping = summarizeMapping(scenarios.flatMap(scenario => scenario.rows));
+    log("\n" + "=".repeat(60));
+    log("🧭 Form field mapping (broken fields with an error on them, errors pointing elsewhere):");
+    for (const [library, totals] of Object.entries(mapping).sort((a, b) => b[1].mapped / b[1].fields - a[1].mapped / a[1].fields || a[1].stray - b[1].stray)) {
+        const share = totals.fields > 0 ? totals.mapped / totals.fields : 0;
+        log(`   ${library.padEnd(18)}: ${`${totals.mapped}/${totals.fields}`.padStart(9)} fields (${formatPercent(share)}) | ${String(totals.stray).padStart(3)} of ${totals.errors} errors elsewhere`);
+    }
+
+    if (values.json) {
+        writeJson({ generatedAt: new Date().toISOString(), libraries: libraries || null, mapping, scenarios }, values.json);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Fault Injection Report
+ *
+ * For every async scenario, makes each mock service the scenario uses fail in
+ * each way (reject, throw, hang, malformed payload) and shows how every
+ * library surfaces it and how long that takes (see lib/faults.js).
+ *
+ * Usage:
+ *   node faults.js [options]
+ *
+ * Examples:
+ *   node faults.js -s insurance
+ *   node faults.js -l zod,validant --kinds reject,malformed
+ *   node faults.js --json faults.json
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter, listAdapters, schemaFor } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { checkParity } = require("./lib/parity");
+const { FAULT_KINDS, OUTCOMES, injectFaults, trackUnhandledRejections, surfaceFault } = require("./lib/faults");
+const { writeJson } = require("./lib/results");
+const { DEFAULT_SEED, setSeed } = require("./lib/random");
+const { setLatencyProfile } = require("./lib/latency");
+const { formatDuration } = require("./lib/format");
+const { splitList, parseInteger, progressLogger } = require("./lib/cli");
+
+const DEFAULT_TIMEOUT = 1000;
+
+const USAGE = `Usage: node faults.js [options]
+
+Options:
+  -l, --library <names>    Libraries to check, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name fragments, comma separated or repeated (default: all async)
+      --kinds <kinds>      Fault kinds to inject, comma separated (default: ${FAULT_KINDS.join(",")})
+      --timeout <ms>       Time after which a validation counts as hung (default: ${DEFAULT_TIMEOUT})
+      --latency <profile>  Mock service latency profile for the calls that do not fail (default: zero)
+      --seed <n>           Seed for generated test data (default: ${DEFAULT_SEED})
+      --json <file|->      Write the report as JSON to a file, or "-" for stdout
+  -h, --help               Show this help`;
+
+const OUTCOME_ICONS = {
+    [OUTCOMES.validationError]: "✅",
+    [OUTCOMES.thrown]: "💥",
+    [OUTCOMES.crashed]: "🔥",
+    [OUTCOMES.accepted]: "⚠️",
+    [OUTCOMES.hung]: "⏳"
+};
+
+function formatCell(probe) {
+    const unhandled = probe.unhandled > 0 ? " +unhandled" : "";
+    return `${OUTCOME_ICONS[probe.outcome]} ${probe.outcome} ${formatDuration(probe.ms)}${unhandled}`;
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            scenario: { type: "string", short: "s", multiple: true },
+            kinds: { type: "string" },
+            timeout: { type: "string" },
+            latency: { type: "string" },
+            seed: { type: "string" },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const libraries = splitList(values.library);
+    libraries?.forEach(getAdapter);
+    const kinds = splitList([values.kinds ?? FAULT_KINDS.join(",")]);
+    for (const kind of kinds) {
+        if (!FAULT_KINDS.includes(kind)) throw new Error(`Unknown fault kind: ${kind}`);
+    }
+    const timeout = parseInteger("timeout", values.timeout, DEFAULT_TIMEOUT, 1);
+    const seed = parseInteger("seed", values.seed, DEFAULT_SEED, 0);
+
+    // Suites generate their data when loaded, so seed before discovering them
+    setSeed(seed);
+    setLatencyProfile(values.latency ?? "zero");
+    const suites = filterSuites(discoverSuites(), splitList(values.scenario))
+        .map(suite => ({ ...suite, scenarios: suite.scenarios.filter(scenario => scenario.services) }))
+        .filter(suite => suite.scenarios.length > 0);
+    if (suites.length === 0) {
+        throw new Error("No async scenario with mock services matches the given filters");
+    }
+
+    const log = progressLogger(values.json);
+
+    // Hung validations can reject long after their probe finished
+    const stray = trackUnhandledRejections();
+
+    log("💥 Fault Injection Report");
+    log("=".repeat(60));
+    log(Object.entries(OUTCOME_ICONS).map(([outcome, icon]) => `${icon} ${outcome}`).join("  "));
+
+    const scenarios = [];
+    for (const suite of suites) {
+        for (const scenario of suite.scenarios) {
+            // Only fail the services this scenario actually calls
+            const profiles = await checkParity(scenario, { libraries });
+            const services = Object.keys(scenario.services)
+                .filter(service => profiles.some(profile => profile.calls[service] > 0));
+            const adapters = (libraries ? libraries.map(getAdapter) : listAdapters())
+                .filter(adapter => schemaFor(scenario.schemas, adapter));
+            if (adapters.length === 0 || services.length === 0) continue;
+
+            log(`\n🎯 ${scenario.name}`);
+            log("─".repeat(32 + adapters.length * 34));
+            log(`${"Fault".padEnd(32)}${adapters.map(adapter => adapter.name.padEnd(34)).join("")}`);
+
+            const rows = [];
+            for (const service of services) {
+                for (const kind of kinds) {
+                    const probes = {};
+                    for (const adapter of adapters) {
+                        const compiled = adapter.compile(schemaFor(scenario.schemas, adapter));
+                        const faults = injectFaults(scenario.services, [{ service, kind, rate: 1 }]);
+                        try {
+                            probes[adapter.name] = await surfaceFault(adapter, compiled, scenario.data, { timeout });
+                        } finally {
+                            faults.restore();
+                        }
+                    }
+                    rows.push({ service, kind, probes });
+                    log(`${`${service} ${kind}`.padEnd(32)}${adapters.map(adapter => formatCell(probes[adapter.name]).padEnd(33)).join(" ")}`);
+                }
+            }
+            scenarios.push({ suite: suite.id, scenario: scenario.id, scenarioName: scenario.name, rows });
+        }
+    }
+
+    stray.stop();
+    if (stray.reasons.length > 0) {
+        log(`\n⚠️  ${stray.reasons.length} unhandled rejection(s) surfaced after their validation had finished`);
+    }
+
+    if (values.json) {
+        writeJson({ generatedAt: new Date().toISOString(), kinds, timeout, seed, scenarios }, values.json);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        });
+}
+
+module.exports = { main };
@@ -8,22 +8,27 @@
  * - Complex nested object validation (policy holder, claimant, vehicle, incident, damages)
  * - Async external service validation (SSN, VIN, policy status)
  * - Business rule validation (age limits, policy dates, claim amounts)
+ * - Polymorphic claims: each claimType requires its own sub-documents (police
+ *   report, disaster declaration...), validated as a discriminated union on
+ *   claimType, one claim at a time and in mixed batches
  * - Realistic mock data and service delays
  * 
- * Libraries tested: zod, joi, yup, validant
+ * Libraries tested: zod, joi, yup, validant (superstruct on the polymorphic claims)
  * 
  * This benchmark demonstrates how validation libraries perform with complex,
  * enterprise-level data structures that include async validation requirements.
  */
 
-const Benchmark = require('benchmark');
-
 // Library imports
 const z = require('zod');
 const Joi = require('joi');
 const yup = require('yup');
-const { string, number, integer, array, object, boolean, size, min, max, assert, pattern, enums } = require("superstruct");
-const { AsyncValidator, AsyncValidationRule, required, minNumber, maxNumber, emailAddress, isString, isNumber, elementOf, arrayMinLen, arrayMaxLen, stringMinLen, stringMaxLen, regularExpression } = require("validant");
+const { string, number, integer, array, object, boolean, date, size, min, max, pattern, enums, literal, dynamic, type } = require("superstruct");
+const { required, minNumber, maxNumber, emailAddress, isString, isNumber, elementOf, arrayMinLen, arrayMaxLen, stringMinLen, stringMaxLen, regularExpression } = require("validant");
+const { runScenario } = require('./lib/runners');
+const { withSchemas } = require('./lib/schemas');
+const { simulateLatency } = require('./lib/latency');
+const { invalidFixture } = require('./lib/conformance');
 
 // =============================================================================
 // MOCK EXTERNAL SERVICES (Simulating Insurance Industry APIs)
@@ -50,15 +55,15 @@ const mockInsuranceServices = {
     ])
 };
 
-// Mock async services with realistic delays
+// Mock async services; delays follow the run's latency profile (lib/latency.js)
 const externalServices = {
     async validateSSN(ssn) {
-        await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 5));
+        await simulateLatency(10, 5);
         return mockInsuranceServices.validSSNs.has(ssn);
     },
 
     async validateVIN(vin) {
-        await new Promise(resolve => setTimeout(resolve, 15 + Math.random() * 5));
+        await simulateLatency(15, 5);
         const vehicleInfo = mockInsuranceServices.validVINs.get(vin);
         return {
             isValid: !!vehicleInfo,
@@ -67,7 +72,7 @@ const externalServices = {
     },
 
     async validatePolicyStatus(policyNumber) {
-        await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 5));
+        await simulateLatency(10, 5);
         const status = mockInsuranceServices.activePolicies.get(policyNumber);
         return status || { isActive: false, hasOutstandingPremiums: false };
     }
@@ -172,11 +177,20 @@ const insuranceClaimData = {
     submissionDate: new Date("2024-03-16")
 };
 
+const insuranceClaimFixtures = [
+    invalidFixture('unknown-vin', 'VIN not found by the VIN service', insuranceClaimData, 'vehicle.vin', '2HGBH41JXMN109186'),
+    invalidFixture('unknown-ssn', 'Policy holder SSN not found by the SSN service', insuranceClaimData, 'policyHolder.ssn', '111-22-3333'),
+    invalidFixture('bad-email', 'Malformed policy holder email', insuranceClaimData, 'policyHolder.email', 'john.smith@'),
+    invalidFixture('year-1800', 'Vehicle year 1800', insuranceClaimData, 'vehicle.year', 1800),
+    invalidFixture('unknown-severity', 'Damage severity outside the enum', insuranceClaimData, 'damages.0.severity', 'CATASTROPHIC'),
+    invalidFixture('unknown-claim-type', 'Claim type outside the enum', insuranceClaimData, 'claimType', 'ALIEN_ABDUCTION')
+];
+
 // =============================================================================
 // ZOD ASYNC SCHEMA
 // =============================================================================
 
-const zodAsyncSchema = z.object({
+const buildZodSchema = () => z.object({
     claimNumber: z.string()
         .regex(/^INS-\d{4}-\d{6}$/, "Claim number must follow format: INS-YEAR-XXXXXX"),
     claimType: z.enum(["AUTO_ACCIDENT", "THEFT", "VANDALISM", "NATURAL_DISASTER", "COMPREHENSIVE"]),
@@ -225,7 +239,8 @@ const zodAsyncSchema = z.object({
         ssn: z.string()
             .refine(async (ssn) => await externalServices.validateSSN(ssn), {
                 message: "Invalid Social Security Number"
-            }),
+            })
+            .optional(),
         address: z.object({
             street: z.string().min(1),
             city: z.string().min(1),
@@ -257,8 +272,10 @@ const zodAsyncSchema = z.object({
         incidentDate: z.date(),
         incidentTime: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
         description: z.string().min(50),
+        policeReportNumber: z.string().optional(),
         weatherConditions: z.enum(["CLEAR", "RAIN", "SNOW", "FOG", "ICE", "SEVERE"]),
         roadConditions: z.enum(["DRY", "WET", "ICY", "CONSTRUCTION", "POOR_VISIBILITY"]),
+        atFaultParties: z.array(z.string()).optional(),
         witnessCount: z.number().min(0).max(20),
         location: z.object({
             street: z.string().min(1),
@@ -298,7 +315,7 @@ const zodAsyncSchema = z.object({
 // JOI ASYNC SCHEMA
 // =============================================================================
 
-const joiAsyncSchema = Joi.object({
+const buildJoiSchema = () => Joi.object({
     claimNumber: Joi.string().pattern(/^INS-\d{4}-\d{6}$/).required(),
     claimType: Joi.string().valid("AUTO_ACCIDENT", "THEFT", "VANDALISM", "NATURAL_DISASTER", "COMPREHENSIVE").required(),
 
@@ -340,7 +357,13 @@ const joiAsyncSchema = Joi.object({
         firstName: Joi.string().required(),
         lastName: Joi.string().required(),
         dateOfBirth: Joi.date().optional(),
-        ssn: Joi.string().optional(),
+        ssn: Joi.string().optional()
+            .external(async (ssn) => {
+                if (ssn === undefined) return ssn;
+                const isValid = await externalServices.validateSSN(ssn);
+                if (!isValid) throw new Error("Invalid Social Security Number");
+                return ssn;
+            }),
         email: Joi.string().email().required(),
         phone: Joi.string().allow('').optional(),
         address: Joi.object({
@@ -404,13 +427,13 @@ const joiAsyncSchema = Joi.object({
     attorneyDetails: Joi.object().optional(),
     priorClaims: Joi.number().min(0).required(),
     submissionDate: Joi.date().max('now').required()
-});
+}).prefs({ allowUnknown: true });
 
 // =============================================================================
 // YUP ASYNC SCHEMA
 // =============================================================================
 
-const yupAsyncSchema = yup.object({
+const buildYupSchema = () => yup.object({
     claimNumber: yup.string()
         .matches(/^INS-\d{4}-\d{6}$/, "Invalid claim number format")
         .required(),
@@ -451,7 +474,10 @@ const yupAsyncSchema = yup.object({
         dateOfBirth: yup.date(),
         email: yup.string().email().required(),
         phone: yup.string(),
-        ssn: yup.string(),
+        ssn: yup.string()
+            .test('ssn-valid', 'Invalid SSN', async (ssn) => {
+                return ssn === undefined || await externalServices.validateSSN(ssn);
+            }),
         address: yup.object({
             street: yup.string().required(),
             city: yup.string().required(),
@@ -574,7 +600,7 @@ function validatePolicyActive() {
     };
 }
 
-const validantAsyncSchema = {
+const buildValidantSchema = () => ({
     claimNumber: [
         required('Claim number is required.'),
         isString('Claim number must be a string.'),
@@ -723,7 +749,8 @@ const validantAsyncSchema = {
     },
     claimAmount: [required(), minNumber(1)],
     supportingDocuments: {
-        arrayRules: [arrayMinLen(1, 'At least one supporting document is required.')]
+        arrayRules: [arrayMinLen(1, 'At least one supporting document is required.')],
+        arrayElementRule: [isString()]
     },
     attorneyInvolved: [required()],
     attorneyDetails: {
@@ -745,134 +772,601 @@ const validantAsyncSchema = {
             }
         }
     ]
+});
+
+// =============================================================================
+// POLYMORPHIC CLAIMS - Discriminated Union on claimType
+// =============================================================================
+
+// The claim above is validated against the auto-accident shape whatever its
+// claimType says. Here every claim type requires its own sub-documents, and
+// each library picks the shape from the claimType tag.
+const CLAIM_TYPES = ['AUTO_ACCIDENT', 'THEFT', 'VANDALISM', 'NATURAL_DISASTER', 'COMPREHENSIVE'];
+
+const CLAIM_SUB_DOCUMENTS = {
+    AUTO_ACCIDENT: ['vehicle', 'damages'],
+    THEFT: ['policeReport', 'stolenItems'],
+    VANDALISM: ['propertyAddress', 'damages'],
+    NATURAL_DISASTER: ['disasterDeclaration', 'propertyAddress'],
+    COMPREHENSIVE: ['vehicle', 'peril']
 };
 
+const DAMAGE_SEVERITIES = ['MINOR', 'MODERATE', 'SEVERE', 'TOTAL_LOSS'];
+const DISASTER_TYPES = ['FLOOD', 'HURRICANE', 'WILDFIRE', 'EARTHQUAKE', 'TORNADO'];
+const PERILS = ['FIRE', 'HAIL', 'FLOOD', 'FALLING_OBJECT', 'ANIMAL_COLLISION'];
+
+// The claim types whose claims carry `key`
+function claimTypesRequiring(key) {
+    return CLAIM_TYPES.filter(claimType => CLAIM_SUB_DOCUMENTS[claimType].includes(key));
+}
+
+// The sub-document schemas of `claimType`, picked from one schema per key
+function subDocumentsOf(schemas, claimType) {
+    return Object.fromEntries(CLAIM_SUB_DOCUMENTS[claimType].map(key => [key, schemas[key]]));
+}
+
+function claimOfType(claimType, fields) {
+    return {
+        claimNumber: 'INS-2024-000001',
+        claimType,
+        policyNumber: 'POL-2024-001234',
+        claimAmount: 4200,
+        incidentDate: new Date('2024-03-15'),
+        description: 'Loss reported by the policy holder on the day after it happened',
+        submissionDate: new Date('2024-03-16'),
+        ...fields
+    };
+}
+
+const claimsByType = {
+    AUTO_ACCIDENT: claimOfType('AUTO_ACCIDENT', {
+        vehicle: { vin: '1HGBH41JXMN109186', make: 'Honda', model: 'Civic', year: 2021 },
+        damages: [
+            { component: 'Rear Bumper', severity: 'MODERATE', estimatedCost: 1500 },
+            { component: 'Trunk', severity: 'MINOR', estimatedCost: 800 }
+        ]
+    }),
+    THEFT: claimOfType('THEFT', {
+        policeReport: { reportNumber: 'PR-789456', agency: 'Anytown Police Department', filedDate: new Date('2024-03-15') },
+        stolenItems: [
+            { description: 'Laptop computer', value: 1800 },
+            { description: 'Road bicycle', value: 2400 }
+        ]
+    }),
+    VANDALISM: claimOfType('VANDALISM', {
+        propertyAddress: { street: '123 Main Street', city: 'Anytown', state: 'CA', zipCode: '90210' },
+        damages: [
+            { component: 'Garage Door', severity: 'MODERATE', estimatedCost: 2100 },
+            { component: 'Front Window', severity: 'MINOR', estimatedCost: 650 }
+        ]
+    }),
+    NATURAL_DISASTER: claimOfType('NATURAL_DISASTER', {
+        disasterDeclaration: { declarationNumber: 'DR-4699', disasterType: 'FLOOD', declaredDate: new Date('2024-03-10') },
+        propertyAddress: { street: '123 Main Street', city: 'Anytown', state: 'CA', zipCode: '90210' }
+    }),
+    COMPREHENSIVE: claimOfType('COMPREHENSIVE', {
+        vehicle: { vin: 'WAUV78E25KN123456', make: 'Audi', model: 'Q7', year: 2019 },
+        peril: 'HAIL'
+    })
+};
+
+// Claims of every type in turn, each with its own claim number
+function generateClaimBatch(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        ...structuredClone(claimsByType[CLAIM_TYPES[index % CLAIM_TYPES.length]]),
+        claimNumber: `INS-2024-${String(index % 1000000).padStart(6, '0')}`
+    }));
+}
+
+const theftClaimData = claimsByType.THEFT;
+const claimBatchData = generateClaimBatch(10);
+
+// Changing a claim's type changes which fields are checked at all, so these
+// fixtures keep no `path` and are never combined with others (lib/error-paths.js)
+function retypedClaimFixture(id, label, data, path, claimType) {
+    return { id, label, data: invalidFixture(id, label, data, path, claimType).data };
+}
+
+const theftClaimFixtures = [
+    invalidFixture('bad-report-number', 'Police report number not in PR-XXXXXX format', theftClaimData, 'policeReport.reportNumber', 'PR-12'),
+    invalidFixture('worthless-item', 'Stolen item worth nothing', theftClaimData, 'stolenItems.0.value', 0),
+    invalidFixture('expired-policy', 'Policy not active', theftClaimData, 'policyNumber', 'POL-2023-EXPIRED001'),
+    invalidFixture('missing-police-report', 'Theft claim without a police report', theftClaimData, 'policeReport', undefined),
+    invalidFixture('no-stolen-items', 'Theft claim without stolen items', theftClaimData, 'stolenItems', []),
+    retypedClaimFixture('theft-as-disaster', 'Theft claim filed as a natural disaster', theftClaimData, 'claimType', 'NATURAL_DISASTER'),
+    retypedClaimFixture('unknown-claim-type', 'Claim type outside the enum', theftClaimData, 'claimType', 'ALIEN_ABDUCTION')
+];
+
+const claimBatchFixtures = [
+    invalidFixture('unknown-vin', 'Auto accident claim with a VIN not found by the VIN service', claimBatchData, '0.vehicle.vin', '2HGBH41JXMN109186'),
+    invalidFixture('missing-police-report', 'Theft claim without a police report', claimBatchData, '1.policeReport', undefined),
+    invalidFixture('no-damages', 'Vandalism claim without damages', claimBatchData, '2.damages', []),
+    invalidFixture('unknown-disaster-type', 'Disaster type outside the enum', claimBatchData, '3.disasterDeclaration.disasterType', 'METEOR'),
+    invalidFixture('collision-peril', 'Comprehensive claim for a collision', claimBatchData, '4.peril', 'COLLISION'),
+    retypedClaimFixture('theft-as-vandalism', 'Theft claim filed as vandalism', claimBatchData, '1.claimType', 'VANDALISM')
+];
+
 // =============================================================================
-// VALIDATION FUNCTIONS
+// ZOD UNION SCHEMA - z.discriminatedUnion
 // =============================================================================
 
-const validationFunctions = {
-    zod: async (data) => {
-        try {
-            await zodAsyncSchema.parseAsync(data);
-            return true;
-        } catch (error) {
-            return false;
-        }
-    },
+const buildZodClaimSchema = () => {
+    const base = {
+        claimNumber: z.string().regex(/^INS-\d{4}-\d{6}$/),
+        policyNumber: z.string()
+            .refine(async (policyNumber) => {
+                const status = await externalServices.validatePolicyStatus(policyNumber);
+                return status.isActive && !status.hasOutstandingPremiums;
+            }, {
+                message: "Policy is not active or has outstanding premiums"
+            }),
+        claimAmount: z.number().min(1),
+        incidentDate: z.date(),
+        description: z.string().min(20),
+        submissionDate: z.date()
+    };
 
-    joi: async (data) => {
-        try {
-            await joiAsyncSchema.validateAsync(data, { allowUnknown: true });
-            return true;
-        } catch (error) {
-            return false;
-        }
-    },
+    const address = z.object({
+        street: z.string().min(1),
+        city: z.string().min(1),
+        state: z.string().min(1),
+        zipCode: z.string().regex(/^\d{5}(-\d{4})?$/)
+    });
 
-    yup: async (data) => {
-        try {
-            await yupAsyncSchema.validate(data);
-            return true;
-        } catch (error) {
-            return false;
-        }
-    },
+    const subDocuments = {
+        vehicle: z.object({
+            vin: z.string()
+                .refine(async (vin) => {
+                    const result = await externalServices.validateVIN(vin);
+                    return result.isValid;
+                }, {
+                    message: "Invalid Vehicle Identification Number"
+                }),
+            make: z.string().min(1),
+            model: z.string().min(1),
+            year: z.number().min(1990).max(new Date().getFullYear() + 1)
+        }),
+        damages: z.array(z.object({
+            component: z.string().min(1),
+            severity: z.enum(DAMAGE_SEVERITIES),
+            estimatedCost: z.number().min(1).max(200000)
+        })).min(1),
+        policeReport: z.object({
+            reportNumber: z.string().regex(/^PR-\d{6}$/),
+            agency: z.string().min(1),
+            filedDate: z.date()
+        }),
+        stolenItems: z.array(z.object({
+            description: z.string().min(1),
+            value: z.number().min(1)
+        })).min(1),
+        propertyAddress: address,
+        disasterDeclaration: z.object({
+            declarationNumber: z.string().regex(/^(DR|EM)-\d{4}$/),
+            disasterType: z.enum(DISASTER_TYPES),
+            declaredDate: z.date()
+        }),
+        peril: z.enum(PERILS)
+    };
 
-    validant: async (data) => {
-        try {
-            const validator = new AsyncValidator();
-            const result = await validator.validateAsync(data, validantAsyncSchema);
-            return result.isValid;
-        } catch (error) {
-            return false;
-        }
-    }
+    return z.discriminatedUnion('claimType', CLAIM_TYPES.map(claimType => z.object({
+        ...base,
+        claimType: z.literal(claimType),
+        ...subDocumentsOf(subDocuments, claimType)
+    })));
 };
 
 // =============================================================================
-// BENCHMARK EXECUTION
+// JOI UNION SCHEMA - object.when() switching on claimType
 // =============================================================================
 
-async function runInsuranceClaimBenchmark() {
-    console.log('\n🏥 Insurance Claim Validation Benchmark\n');
-    console.log('Testing complex insurance claim validation with async services:');
-    console.log('- SSN validation (external service simulation)');
-    console.log('- VIN validation (vehicle database lookup)');
-    console.log('- Policy status validation (policy service check)');
-    console.log('- Complex nested object validation');
-    console.log('- Business rule validation\n');
+const buildJoiClaimSchema = () => {
+    const address = Joi.object({
+        street: Joi.string().required(),
+        city: Joi.string().required(),
+        state: Joi.string().required(),
+        zipCode: Joi.string().pattern(/^\d{5}(-\d{4})?$/).required()
+    });
 
-    console.log('Libraries tested: zod, joi, yup, validant\n');
-    console.log('='.repeat(80));
+    const subDocuments = {
+        vehicle: Joi.object({
+            vin: Joi.string().required()
+                .external(async (vin) => {
+                    const result = await externalServices.validateVIN(vin);
+                    if (!result.isValid) throw new Error("Invalid VIN");
+                    return vin;
+                }),
+            make: Joi.string().required(),
+            model: Joi.string().required(),
+            year: Joi.number().min(1990).max(new Date().getFullYear() + 1).required()
+        }).required(),
+        damages: Joi.array().items(Joi.object({
+            component: Joi.string().required(),
+            severity: Joi.string().valid(...DAMAGE_SEVERITIES).required(),
+            estimatedCost: Joi.number().min(1).max(200000).required()
+        })).min(1).required(),
+        policeReport: Joi.object({
+            reportNumber: Joi.string().pattern(/^PR-\d{6}$/).required(),
+            agency: Joi.string().required(),
+            filedDate: Joi.date().required()
+        }).required(),
+        stolenItems: Joi.array().items(Joi.object({
+            description: Joi.string().required(),
+            value: Joi.number().min(1).required()
+        })).min(1).required(),
+        propertyAddress: address.required(),
+        disasterDeclaration: Joi.object({
+            declarationNumber: Joi.string().pattern(/^(DR|EM)-\d{4}$/).required(),
+            disasterType: Joi.string().valid(...DISASTER_TYPES).required(),
+            declaredDate: Joi.date().required()
+        }).required(),
+        peril: Joi.string().valid(...PERILS).required()
+    };
+
+    return Joi.object({
+        claimNumber: Joi.string().pattern(/^INS-\d{4}-\d{6}$/).required(),
+        claimType: Joi.string().valid(...CLAIM_TYPES).required(),
+        policyNumber: Joi.string().required()
+            .external(async (policyNumber) => {
+                const status = await externalServices.validatePolicyStatus(policyNumber);
+                if (!status.isActive || status.hasOutstandingPremiums) {
+                    throw new Error("Policy is not active or has outstanding premiums");
+                }
+                return policyNumber;
+            }),
+        claimAmount: Joi.number().min(1).required(),
+        incidentDate: Joi.date().required(),
+        description: Joi.string().min(20).required(),
+        submissionDate: Joi.date().required()
+    }).when('.claimType', {
+        switch: CLAIM_TYPES.map(claimType => ({
+            is: claimType,
+            then: Joi.object(subDocumentsOf(subDocuments, claimType))
+        }))
+    }).prefs({ allowUnknown: true });
+};
+
+// =============================================================================
+// YUP UNION SCHEMA - when() on claimType per sub-document
+// =============================================================================
+
+const buildYupClaimSchema = () => {
+    const address = yup.object({
+        street: yup.string().required(),
+        city: yup.string().required(),
+        state: yup.string().required(),
+        zipCode: yup.string().matches(/^\d{5}(-\d{4})?$/).required()
+    });
+
+    const subDocuments = {
+        vehicle: yup.object({
+            vin: yup.string().required()
+                .test('vin-valid', 'Invalid VIN', async (vin) => {
+                    const result = await externalServices.validateVIN(vin);
+                    return result.isValid;
+                }),
+            make: yup.string().required(),
+            model: yup.string().required(),
+            year: yup.number().min(1990).max(new Date().getFullYear() + 1).required()
+        }),
+        damages: yup.array().of(yup.object({
+            component: yup.string().required(),
+            severity: yup.string().oneOf(DAMAGE_SEVERITIES).required(),
+            estimatedCost: yup.number().min(1).max(200000).required()
+        })).min(1),
+        policeReport: yup.object({
+            reportNumber: yup.string().matches(/^PR-\d{6}$/).required(),
+            agency: yup.string().required(),
+            filedDate: yup.date().required()
+        }),
+        stolenItems: yup.array().of(yup.object({
+            description: yup.string().required(),
+            value: yup.number().min(1).required()
+        })).min(1),
+        propertyAddress: address,
+        disasterDeclaration: yup.object({
+            declarationNumber: yup.string().matches(/^(DR|EM)-\d{4}$/).required(),
+            disasterType: yup.string().oneOf(DISASTER_TYPES).required(),
+            declaredDate: yup.date().required()
+        }),
+        peril: yup.string().oneOf(PERILS)
+    };
+
+    // A sub-document is left unchecked on the claim types that do not carry it.
+    // Without a default, a missing object fails as a whole rather than as its
+    // fields' defaults.
+    const conditional = Object.fromEntries(Object.entries(subDocuments).map(([key, schema]) => {
+        const claimTypes = claimTypesRequiring(key);
+        return [key, yup.mixed().when('claimType', {
+            is: (claimType) => claimTypes.includes(claimType),
+            then: () => schema.default(undefined).required()
+        })];
+    }));
+
+    return yup.object({
+        claimNumber: yup.string().matches(/^INS-\d{4}-\d{6}$/).required(),
+        claimType: yup.string().oneOf(CLAIM_TYPES).required(),
+        policyNumber: yup.string().required()
+            .test('policy-active', 'Policy not active', async (policyNumber) => {
+                const status = await externalServices.validatePolicyStatus(policyNumber);
+                return status.isActive && !status.hasOutstandingPremiums;
+            }),
+        claimAmount: yup.number().min(1).required(),
+        incidentDate: yup.date().required(),
+        description: yup.string().min(20).required(),
+        submissionDate: yup.date().required(),
+        ...conditional
+    });
+};
+
+// =============================================================================
+// SUPERSTRUCT UNION SCHEMA - dynamic() struct per claimType
+// =============================================================================
+
+async function checkClaimServices(claim) {
+    const status = await externalServices.validatePolicyStatus(claim.policyNumber);
+    if (!status.isActive || status.hasOutstandingPremiums) return 'Policy is not active or has outstanding premiums';
 
-    const scenario = {
-        name: 'Insurance Claim Processing',
-        description: 'Complex insurance claim with policy holder, vehicle, incident, and damage details',
-        data: insuranceClaimData
+    if (claim.vehicle) {
+        const result = await externalServices.validateVIN(claim.vehicle.vin);
+        if (!result.isValid) return 'Invalid VIN';
+    }
+
+    return true;
+}
+
+const buildSuperstructClaimStruct = () => {
+    const base = {
+        claimNumber: pattern(string(), /^INS-\d{4}-\d{6}$/),
+        policyNumber: string(),
+        claimAmount: min(number(), 1),
+        incidentDate: date(),
+        description: size(string(), 20, Infinity),
+        submissionDate: date()
     };
 
-    console.log(`\n📊 ${scenario.name}`);
-    console.log(`📝 ${scenario.description}`);
-    console.log('-'.repeat(80));
+    const subDocuments = {
+        vehicle: object({
+            vin: string(),
+            make: size(string(), 1, Infinity),
+            model: size(string(), 1, Infinity),
+            year: min(max(integer(), new Date().getFullYear() + 1), 1990)
+        }),
+        damages: size(array(object({
+            component: size(string(), 1, Infinity),
+            severity: enums(DAMAGE_SEVERITIES),
+            estimatedCost: min(max(number(), 200000), 1)
+        })), 1, Infinity),
+        policeReport: object({
+            reportNumber: pattern(string(), /^PR-\d{6}$/),
+            agency: size(string(), 1, Infinity),
+            filedDate: date()
+        }),
+        stolenItems: size(array(object({
+            description: size(string(), 1, Infinity),
+            value: min(number(), 1)
+        })), 1, Infinity),
+        propertyAddress: object({
+            street: size(string(), 1, Infinity),
+            city: size(string(), 1, Infinity),
+            state: size(string(), 1, Infinity),
+            zipCode: pattern(string(), /^\d{5}(-\d{4})?$/)
+        }),
+        disasterDeclaration: object({
+            declarationNumber: pattern(string(), /^(DR|EM)-\d{4}$/),
+            disasterType: enums(DISASTER_TYPES),
+            declaredDate: date()
+        }),
+        peril: enums(PERILS)
+    };
 
-    // Test that all validations work first
-    console.log('\n🧪 Testing validation functions...');
-    const libraries = ['zod', 'joi', 'yup', 'validant'];
+    const structs = Object.fromEntries(CLAIM_TYPES.map(claimType => [claimType, object({
+        ...base,
+        claimType: literal(claimType),
+        ...subDocumentsOf(subDocuments, claimType)
+    })]));
+    // An unknown claim type fails on claimType alone
+    const unknownClaim = type({ claimType: enums(CLAIM_TYPES) });
 
-    for (const lib of libraries) {
-        try {
-            const result = await validationFunctions[lib](scenario.data);
-            console.log(`   ✅ ${lib}: ${result ? 'PASS' : 'FAIL'}`);
-        } catch (error) {
-            console.log(`   ❌ ${lib}: ERROR - ${error.message}`);
+    return dynamic((claim) => (claim && structs[claim.claimType]) || unknownClaim);
+};
+
+// =============================================================================
+// VALIDANT UNION SCHEMA - function-based rules reading claimType
+// =============================================================================
+
+// validant skips the rules of a nested object that is missing, so whether the
+// claim carries the object sub-documents its type requires is checked on claimType
+function requireSubDocuments(claimOf) {
+    return function (claimType, root) {
+        const claim = claimOf(root);
+        const missing = (CLAIM_SUB_DOCUMENTS[claimType] || []).filter(key => claim[key] === undefined);
+        if (missing.length > 0) {
+            return {
+                ruleName: 'requireSubDocuments',
+                attemptedValue: claimType,
+                errorMessage: `A ${claimType} claim requires ${missing.join(' and ')}.`
+            };
         }
-    }
+    };
+}
+
+// Rules for the claim `claimOf(root)` returns. Array and enum sub-documents
+// only apply their rules when the claim's type carries them; nested objects
+// are checked whenever present.
+function buildValidantClaimRules(claimOf) {
+    const carries = (root, key) => (CLAIM_SUB_DOCUMENTS[claimOf(root).claimType] || []).includes(key);
+
+    return {
+        claimNumber: [
+            required(),
+            regularExpression(/^INS-\d{4}-\d{6}$/, 'claimNumberFormat', 'Claim number must follow format: INS-YEAR-XXXXXX')
+        ],
+        claimType: [
+            required(),
+            elementOf(CLAIM_TYPES, 'Invalid claim type.'),
+            requireSubDocuments(claimOf)
+        ],
+        policyNumber: [required(), validatePolicyActive()],
+        claimAmount: [required(), minNumber(1)],
+        incidentDate: [required()],
+        description: [required(), stringMinLen(20)],
+        submissionDate: [required()],
+
+        vehicle: {
+            vin: [required(), validateVINNumber()],
+            make: [required()],
+            model: [required()],
+            year: [required(), minNumber(1990), maxNumber(new Date().getFullYear() + 1)]
+        },
+        damages: (damages, root) => (carries(root, 'damages') ? {
+            arrayRules: [arrayMinLen(1, 'At least one damage entry is required.')],
+            arrayElementRule: {
+                component: [required()],
+                severity: [required(), elementOf(DAMAGE_SEVERITIES)],
+                estimatedCost: [required(), minNumber(1), maxNumber(200000)]
+            }
+        } : {}),
+        policeReport: {
+            reportNumber: [required(), regularExpression(/^PR-\d{6}$/, 'reportNumberFormat', 'Police report number must follow format: PR-XXXXXX')],
+            agency: [required()],
+            filedDate: [required()]
+        },
+        stolenItems: (stolenItems, root) => (carries(root, 'stolenItems') ? {
+            arrayRules: [arrayMinLen(1, 'At least one stolen item is required.')],
+            arrayElementRule: {
+                description: [required()],
+                value: [required(), minNumber(1)]
+            }
+        } : {}),
+        propertyAddress: {
+            street: [required()],
+            city: [required()],
+            state: [required()],
+            zipCode: [required(), regularExpression(/^\d{5}(-\d{4})?$/, 'zipCodeFormat', 'ZIP code must be in format: 12345 or 12345-6789')]
+        },
+        disasterDeclaration: {
+            declarationNumber: [required(), regularExpression(/^(DR|EM)-\d{4}$/, 'declarationNumberFormat', 'Declaration number must follow format: DR-XXXX or EM-XXXX')],
+            disasterType: [required(), elementOf(DISASTER_TYPES)],
+            declaredDate: [required()]
+        },
+        peril: [
+            function (peril, root) {
+                if (carries(root, 'peril') && !PERILS.includes(peril)) {
+                    return {
+                        ruleName: 'peril',
+                        attemptedValue: peril,
+                        errorMessage: `Peril must be one of ${PERILS.join(', ')}.`
+                    };
+                }
+            }
+        ]
+    };
+}
 
-    console.log('\n⏱️  Running benchmarks...\n');
-
-    // Create benchmark suite
-    const suite = new Benchmark.Suite();
-
-    // Add async benchmark tests
-    for (const lib of libraries) {
-        suite.add(lib, {
-            defer: true,
-            fn: async function (deferred) {
-                try {
-                    await validationFunctions[lib](scenario.data);
-                    deferred.resolve();
-                } catch (error) {
-                    deferred.resolve();
+// =============================================================================
+// UNION SCHEMA BUILDERS - single claim and mixed batch
+// =============================================================================
+
+const claimUnionSchemaBuilders = {
+    single: {
+        zod: buildZodClaimSchema,
+        joi: buildJoiClaimSchema,
+        yup: buildYupClaimSchema,
+        superstruct: () => ({ struct: buildSuperstructClaimStruct(), asyncCheck: checkClaimServices }),
+        validant: () => buildValidantClaimRules(root => root)
+    },
+    batch: {
+        zod: () => z.array(buildZodClaimSchema()).min(1),
+        joi: () => Joi.array().items(buildJoiClaimSchema()).min(1).required(),
+        yup: () => yup.array().of(buildYupClaimSchema()).min(1).required(),
+        superstruct: () => ({
+            struct: size(array(buildSuperstructClaimStruct()), 1, Infinity),
+            asyncCheck: async (claims) => {
+                for (const claim of claims) {
+                    const check = await checkClaimServices(claim);
+                    if (check !== true) return check;
                 }
+                return true;
+            }
+        }),
+        // Rules built per element from the claim itself: inside an array, a
+        // rule's root is the whole batch
+        validant: () => ({
+            claims: {
+                arrayRules: [arrayMinLen(1, 'At least one claim is required.')],
+                arrayElementRule: (claim) => buildValidantClaimRules(() => claim)
             }
-        });
+        })
     }
+};
 
-    // Run the benchmark
-    await new Promise((resolve) => {
-        suite
-            .on('cycle', function (event) {
-                const benchmark = event.target;
-                const opsPerSec = benchmark.hz;
-                const rme = benchmark.stats.rme;
-                const samples = benchmark.stats.sample.length;
-
-                console.log(`${benchmark.name.padEnd(12)} | ${opsPerSec.toLocaleString('en-US', {
-                    minimumFractionDigits: 0,
-                    maximumFractionDigits: 0
-                }).padStart(8)} ops/sec | ±${rme.toFixed(2)}% | ${samples} samples`);
-            })
-            .on('complete', function () {
-                const fastest = this.filter('fastest')[0];
-                const slowest = this.filter('slowest')[0];
-                const speedup = (fastest.hz / slowest.hz).toFixed(1);
+// =============================================================================
+// SUITE DEFINITION
+// =============================================================================
 
-                console.log(`\n🏆 Winner: ${fastest.name} (${speedup}x faster than slowest)`);
-                resolve();
-            })
-            .run({ async: true });
-    });
+const suite = withSchemas({
+    id: 'insurance',
+    name: 'Insurance Claim Validation Benchmark',
+    mode: 'async',
+    scenarios: [
+        {
+            id: 'insurance-claim',
+            name: 'Insurance Claim Processing',
+            description: 'Complex insurance claim with policy holder, vehicle, incident, and damage details',
+            data: insuranceClaimData,
+            services: externalServices,
+            schemaBuilders: {
+                zod: buildZodSchema,
+                joi: buildJoiSchema,
+                yup: buildYupSchema,
+                validant: buildValidantSchema
+            },
+            invalidFixtures: insuranceClaimFixtures
+        },
+        {
+            id: 'insurance-claim-union',
+            name: 'Polymorphic Claim (Discriminated Union)',
+            description: 'Theft claim whose required sub-documents are picked by claimType',
+            data: theftClaimData,
+            services: externalServices,
+            schemaBuilders: claimUnionSchemaBuilders.single,
+            invalidFixtures: theftClaimFixtures
+        },
+        {
+            id: 'insurance-claim-batch',
+            name: 'Mixed Claim Batch (Discriminated Union)',
+            description: 'Batch of 10 claims cycling through every claimType',
+            data: claimBatchData,
+            scaleData: generateClaimBatch,
+            services: externalServices,
+            schemaBuilders: claimUnionSchemaBuilders.batch,
+            invalidFixtures: claimBatchFixtures
+        }
+    ]
+});
+
+// =============================================================================
+// BENCHMARK EXECUTION
+// =============================================================================
+
+async function runInsuranceClaimBenchmark(options = {}) {
+    console.log('\n🏥 Insurance Claim Validation Benchmark\n');
+    console.log('Testing complex insurance claim validation with async services:');
+    console.log('- SSN validation (external service simulation)');
+    console.log('- VIN validation (vehicle database lookup)');
+    console.log('- Policy status validation (policy service check)');
+    console.log('- Complex nested object validation');
+    console.log('- Business rule validation');
+    console.log('- Discriminated unions on claimType (single claims and mixed batches)\n');
+
+    console.log('Libraries tested: zod, joi, yup, validant (superstruct on the polymorphic claims)\n');
+    console.log('='.repeat(80));
+
+    const results = [];
+    for (const scenario of suite.scenarios) {
+        results.push(...await runScenario(suite, scenario, options));
+    }
 
     console.log('\n' + '='.repeat(80));
     console.log('🎯 Insurance Claim Validation Benchmark Complete!');
@@ -881,7 +1375,10 @@ async function runInsuranceClaimBenchmark() {
     console.log('• Performance heavily depends on external service response times');
     console.log('• Business rule validation adds significant complexity');
     console.log('• Libraries handle deep object validation differently');
+    console.log('• Tagged unions cost a dispatch per claim, or a rule set built per claim');
     console.log('='.repeat(80));
+
+    return results;
 }
 
 // Run the benchmark
@@ -889,4 +1386,4 @@ if (require.main === module) {
     runInsuranceClaimBenchmark().catch(console.error);
 }
 
-module.exports = { runInsuranceClaimBenchmark }; 
\ No newline at end of file
+module.exports = { suite, runInsuranceClaimBenchmark };
@@ -0,0 +1,42 @@
+/**
+ * CLI Helpers
+ *
+ * Option parsing shared by the command line tools (bench.js, compare.js,
+ * conformance.js, ...), which all read options with util.parseArgs.
+ */
+
+/**
+ * Flattens a repeated, comma separated option ("-l zod,joi -l yup") into
+ * ["zod", "joi", "yup"]; undefined when the option was not given.
+ */
+function splitList(values) {
+    if (!values) return undefined;
+    return values.flatMap(value => value.split(",")).map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Parses the value of `--<name>` as an integer of at least `min`, or returns
+ * `fallback` when the option was not given.
+ */
+function parseInteger(name, value, fallback, min) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`--${name} must be an integer of at least ${min}, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * The function to log progress with: console.error when the JSON document
+ * goes to stdout (`--json -`), so stdout holds nothing but the document.
+ */
+function progressLogger(json) {
+    return json === "-" ? console.error : console.log;
+}
+
+module.exports = {
+    splitList,
+    parseInteger,
+    progressLogger
+};
@@ -0,0 +1,141 @@
+/**
+ * Cold Start
+ *
+ * The suites measure steady-state validation with schemas built once up
+ * front. A serverless function or a multi-tenant service that builds schemas
+ * per tenant pays for the cold path instead, so measureColdStart() starts a
+ * fresh Node process for one library and scenario and times, in order:
+ *
+ * - require:          require() of the library package, before anything else
+ * - build:            the first call of the scenario's schema builder
+ * - compile:          the first adapter.compile() of that schema
+ * - first validation: the first validation of the scenario data
+ * - second:           the validation right after it
+ * - warm build:       median of building and compiling the schema again
+ *
+ * This file is also the script the fresh process runs.
+ */
+
+const path = require("path");
+const { spawn } = require("child_process");
+const { performance } = require("perf_hooks");
+const { setSeed } = require("./random");
+const { setLatencyProfile } = require("./latency");
+const { percentile } = require("./stats");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const WARM_BUILDS = 20;
+
+function median(values) {
+    return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+function time(fn) {
+    const start = performance.now();
+    const value = fn();
+    return [value, performance.now() - start];
+}
+
+async function timeAsync(fn) {
+    const start = performance.now();
+    const value = await fn();
+    return [value, performance.now() - start];
+}
+
+/**
+ * Runs in the fresh process. Resolves to
+ *   { requireMs, buildMs, compileMs, firstValidationMs, secondValidationMs, warmBuildMs, valid }
+ */
+async function probe({ library, packageName, suiteFile, scenarioId, seed, latency }) {
+    const [, requireMs] = time(() => require(packageName));
+
+    // Loaded only now: the adapters and the suite pull in every other library
+    const { getAdapter, schemaFor, validateSync, validateAsync } = require("../adapters");
+    setSeed(seed);
+    setLatencyProfile(latency);
+    const { suite } = require(path.join(ROOT_DIR, suiteFile));
+    const scenario = suite.scenarios.find(candidate => candidate.id === scenarioId);
+    const adapter = getAdapter(library);
+    const build = schemaFor(scenario.schemaBuilders, adapter);
+    const validate = suite.mode === "async" ? validateAsync : validateSync;
+
+    const [schema, buildMs] = time(build);
+    const [compiled, compileMs] = time(() => adapter.compile(schema));
+    const [result, firstValidationMs] = await timeAsync(() => validate(adapter, compiled, scenario.data));
+    const [, secondValidationMs] = await timeAsync(() => validate(adapter, compiled, scenario.data));
+
+    const warmBuilds = [];
+    for (let i = 0; i < WARM_BUILDS; i++) {
+        warmBuilds.push(time(() => adapter.compile(build()))[1]);
+    }
+
+    return {
+        requireMs,
+        buildMs,
+        compileMs,
+        firstValidationMs,
+        secondValidationMs,
+        warmBuildMs: median(warmBuilds),
+        valid: result.valid
+    };
+}
+
+function runProbe(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [...process.execArgv, __filename, JSON.stringify(args)], {
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on("data", chunk => stdout.push(chunk));
+        child.stderr.on("data", chunk => stderr.push(chunk));
+        child.on("error", reject);
+        child.on("close", code => {
+            if (code !== 0) {
+                reject(new Error(`Cold start probe exited with code ${code}: ${Buffer.concat(stderr).toString("utf8").trim()}`));
+                return;
+            }
+            resolve(JSON.parse(Buffer.concat(stdout).toString("utf8")));
+        });
+    });
+}
+
+/**
+ * Probes `runs` fresh processes one after another and resolves to the median
+ * of every timing, plus the raw runs.
+ */
+async function measureColdStart(suite, scenario, adapter, { runs = 3, seed, latency } = {}) {
+    const args = {
+        library: adapter.name,
+        packageName: adapter.packageName,
+        suiteFile: suite.file,
+        scenarioId: scenario.id,
+        seed,
+        latency
+    };
+
+    const samples = [];
+    for (let i = 0; i < runs; i++) {
+        samples.push(await runProbe(args));
+    }
+
+    const timings = {};
+    for (const key of ["requireMs", "buildMs", "compileMs", "firstValidationMs", "secondValidationMs", "warmBuildMs"]) {
+        timings[key] = median(samples.map(sample => sample[key]));
+    }
+    return { library: adapter.name, ...timings, valid: samples[0].valid, runs: samples };
+}
+
+if (require.main === module) {
+    probe(JSON.parse(process.argv[2]))
+        .then(result => process.stdout.write(JSON.stringify(result)))
+        .catch(error => {
+            console.error(error.stack);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    measureColdStart,
+    median
+};
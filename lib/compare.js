@@ -0,0 +1,117 @@
+/**
+ * Result Set Comparison
+ *
+ * Matches records of two result sets by scenario + library and reports the
+ * change in ops/sec with a 95% confidence interval. Both tinybench and
+ * Benchmark.js report `rme` as the 95% margin of error relative to the mean,
+ * so the relative change of two independent runs has a margin of roughly
+ * sqrt(rme_baseline² + rme_current²).
+ *
+ * A change is significant when its confidence interval does not include zero.
+ */
+
+const VERDICTS = {
+    faster: "faster",
+    slower: "slower",
+    unchanged: "no significant change",
+    failed: "failed",
+    missing: "missing"
+};
+
+const VERDICT_ICONS = {
+    [VERDICTS.faster]: "⬆️",
+    [VERDICTS.slower]: "⬇️",
+    [VERDICTS.unchanged]: "≈",
+    [VERDICTS.failed]: "💥",
+    [VERDICTS.missing]: "∅"
+};
+
+function recordKey(record) {
+    return `${record.scenario}::${record.library}`;
+}
+
+function isMeasured(record) {
+    return Boolean(record) && record.opsPerSec !== null && record.opsPerSec > 0;
+}
+
+// The async runners still measure a library whose preflight failed, so a
+// number alone does not mean the library works
+function isWorking(record) {
+    return isMeasured(record) && record.preflight !== "fail";
+}
+
+function compareRecords(baseline, current) {
+    const delta = (current.opsPerSec - baseline.opsPerSec) / baseline.opsPerSec * 100;
+    const margin = Math.sqrt(baseline.rme ** 2 + current.rme ** 2);
+    const ciLow = delta - margin;
+    const ciHigh = delta + margin;
+
+    let verdict = VERDICTS.unchanged;
+    if (ciLow > 0) verdict = VERDICTS.faster;
+    if (ciHigh < 0) verdict = VERDICTS.slower;
+
+    return { delta, margin, ciLow, ciHigh, verdict };
+}
+
+/**
+ * Returns one comparison per scenario + library present in either set.
+ * A library that worked in the baseline but failed preflight in the current
+ * run gets the "failed" verdict, whether or not it was still measured; other
+ * entries that were not measured on both sides get the "missing" verdict.
+ */
+function compareResultSets(baselineSet, currentSet) {
+    const baseline = new Map(baselineSet.results.map(record => [recordKey(record), record]));
+    const current = new Map(currentSet.results.map(record => [recordKey(record), record]));
+    const keys = [...new Set([...baseline.keys(), ...current.keys()])];
+
+    return keys.map(key => {
+        const before = baseline.get(key);
+        const after = current.get(key);
+        const reference = after || before;
+        const comparison = {
+            suite: reference.suite,
+            scenario: reference.scenario,
+            scenarioName: reference.scenarioName,
+            library: reference.library,
+            baseline: before ? { opsPerSec: before.opsPerSec, rme: before.rme, libraryVersion: before.libraryVersion } : null,
+            current: after ? { opsPerSec: after.opsPerSec, rme: after.rme, libraryVersion: after.libraryVersion } : null
+        };
+
+        if (isWorking(before) && after && !isWorking(after)) {
+            return { ...comparison, delta: null, margin: null, ciLow: null, ciHigh: null, verdict: VERDICTS.failed };
+        }
+        if (!isMeasured(before) || !isMeasured(after)) {
+            return { ...comparison, delta: null, margin: null, ciLow: null, ciHigh: null, verdict: VERDICTS.missing };
+        }
+        return { ...comparison, ...compareRecords(before, after) };
+    });
+}
+
+/**
+ * Significant slowdowns of the given libraries (all when omitted) larger than
+ * `threshold` percent, plus every library that stopped working.
+ */
+function findRegressions(comparisons, { libraries, threshold = 0 } = {}) {
+    return comparisons.filter(comparison =>
+        (comparison.verdict === VERDICTS.failed ||
+            (comparison.verdict === VERDICTS.slower && -comparison.delta > threshold)) &&
+        (!libraries || libraries.includes(comparison.library)));
+}
+
+/**
+ * "+3.2% [1.1%, 5.3%]": the change with its 95% confidence interval, or "—"
+ * when there is nothing to compare.
+ */
+function formatChange(comparison) {
+    if (comparison.delta === null) return "—";
+    const sign = comparison.delta >= 0 ? "+" : "";
+    return `${sign}${comparison.delta.toFixed(1)}% [${comparison.ciLow.toFixed(1)}%, ${comparison.ciHigh.toFixed(1)}%]`;
+}
+
+module.exports = {
+    VERDICTS,
+    VERDICT_ICONS,
+    compareResultSets,
+    findRegressions,
+    formatChange
+};
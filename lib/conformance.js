@@ -0,0 +1,129 @@
+/**
+ * Conformance Checks
+ *
+ * Benchmark numbers are only comparable when every library does the same
+ * validation work. A scenario can list labelled invalid fixtures next to its
+ * data:
+ *
+ *   invalidFixtures: [{ id, label, data, knownDifferences? }]
+ *   validFixtures?:  [{ id, label, data }]
+ *
+ * The conformance check validates the scenario data (expected to pass unless
+ * the scenario sets `expectFailure`), every valid fixture (expected to pass)
+ * and every invalid fixture (expected to fail) with each library, and reports
+ * which library accepted or rejected what. A scenario whose data is invalid
+ * lists the data its invalid fixtures start from as a valid fixture, so a
+ * rejection can only come from the field the fixture breaks.
+ *
+ * `knownDifferences` maps a library name to the reason it cannot express the
+ * rule a fixture breaks. Such a disagreement is reported but not counted as
+ * a mismatch.
+ */
+
+const { getAdapter, listAdapters, schemaFor, validateSync, validateAsync } = require("../adapters");
+const { describeError } = require("./results");
+
+/**
+ * Replaces the value at `path` (dot separated, array indexes allowed) in
+ * `target`, in place. `undefined` removes the key, which is how a missing
+ * field is expressed.
+ */
+function setPath(target, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => object[key], target);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+    return target;
+}
+
+/**
+ * Builds an invalid fixture from valid data by replacing the value at `path`
+ * (see setPath). The fixture keeps `path` and `value` so fixtures can be
+ * combined (see lib/error-paths.js).
+ */
+function invalidFixture(id, label, data, path, value) {
+    return { id, label, data: setPath(structuredClone(data), path, value), path, value };
+}
+
+function scenarioCases(scenario) {
+    return [
+        {
+            id: scenario.id,
+            label: scenario.expectFailure ? "Scenario data (invalid)" : "Scenario data (valid)",
+            data: scenario.data,
+            expectValid: !scenario.expectFailure
+        },
+        ...(scenario.validFixtures || []).map(fixture => ({ ...fixture, expectValid: true })),
+        ...(scenario.invalidFixtures || []).map(fixture => ({ ...fixture, expectValid: false }))
+    ];
+}
+
+/**
+ * Validates the scenario data and every fixture with each library.
+ * Resolves to one row per case:
+ *   { id, label, expectValid, outcomes: { [library]: { accepted, conforms, crashed?, known?, error? } } }
+ * A library that crashes (see isValidationError in adapters/index.js) does
+ * not conform, even where the case should be rejected.
+ */
+async function checkScenario(scenario, { isAsync = false, libraries } = {}) {
+    const adapters = (libraries ? libraries.map(getAdapter) : listAdapters())
+        .filter(adapter => schemaFor(scenario.schemas, adapter));
+    const compiled = new Map(adapters.map(adapter => [adapter.name, adapter.compile(schemaFor(scenario.schemas, adapter))]));
+
+    const rows = [];
+    for (const testCase of scenarioCases(scenario)) {
+        const outcomes = {};
+        for (const adapter of adapters) {
+            const result = isAsync
+                ? await validateAsync(adapter, compiled.get(adapter.name), testCase.data)
+                : validateSync(adapter, compiled.get(adapter.name), testCase.data);
+            outcomes[adapter.name] = {
+                accepted: result.valid,
+                conforms: !result.crashed && result.valid === testCase.expectValid
+            };
+            if (result.crashed) outcomes[adapter.name].crashed = true;
+            if (!result.valid) outcomes[adapter.name].error = describeError(result.error);
+        }
+        // Variants share the known differences of the library whose schemas they run
+        for (const adapter of adapters) {
+            const reason = schemaFor(testCase.knownDifferences || {}, adapter);
+            if (reason && !outcomes[adapter.name].conforms) outcomes[adapter.name].known = reason;
+        }
+        rows.push({ id: testCase.id, label: testCase.label, expectValid: testCase.expectValid, outcomes });
+    }
+
+    return rows;
+}
+
+function isMismatch(outcome) {
+    return !outcome.conforms && !outcome.known;
+}
+
+/**
+ * Rows where at least one library disagrees with the expected outcome for a
+ * reason that is not a known difference.
+ */
+function findMismatches(rows) {
+    return rows.filter(row => Object.values(row.outcomes).some(isMismatch));
+}
+
+/**
+ * Rows where a library disagrees for a documented reason.
+ */
+function findKnownDifferences(rows) {
+    return rows.filter(row => Object.values(row.outcomes).some(outcome => outcome.known));
+}
+
+module.exports = {
+    setPath,
+    invalidFixture,
+    checkScenario,
+    isMismatch,
+    findMismatches,
+    findKnownDifferences
+};
@@ -0,0 +1,159 @@
+/**
+ * Environment Fingerprint
+ *
+ * Numbers from two machines, two Node versions or two validator releases are
+ * not comparable, so every result set carries a fingerprint of where it was
+ * measured, collected automatically rather than typed by hand:
+ *
+ *   { node, v8, execArgv, nodeOptions, platform, release, osVersion, arch,
+ *     cpu, cores, cpuSpeedMHz, totalMemory, governor, validators, git }
+ *
+ * `validators` maps each validator package to the version resolved in
+ * package-lock.json, `git` is { commit, dirty } and `governor` is the CPU
+ * frequency governor on Linux. Whatever cannot be read is null.
+ *
+ * compareEnvironments() lists the fields two fingerprints disagree on; the
+ * git commit is left out, since comparing two commits is the point.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { formatBytes } = require("./format");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const GOVERNOR_FILE = "/sys/devices/system/cpu/cpu0/cpufreq/scaling_governor";
+
+// Fields that make two runs incomparable when they differ, with their labels
+const FINGERPRINT_FIELDS = {
+    platform: "OS",
+    release: "kernel",
+    arch: "architecture",
+    cpu: "CPU",
+    cores: "CPU cores",
+    totalMemory: "memory",
+    governor: "CPU governor",
+    node: "Node.js",
+    v8: "V8",
+    execArgv: "Node flags",
+    nodeOptions: "NODE_OPTIONS"
+};
+
+function readOrNull(read) {
+    try {
+        return read();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Versions of the validator packages as resolved in package-lock.json,
+ * falling back to the installed package for a missing lock entry.
+ */
+function validatorVersions() {
+    // Loaded here: the registry pulls in every validator
+    const { listAdapters } = require("../adapters");
+    const lock = readOrNull(() => JSON.parse(fs.readFileSync(path.join(ROOT_DIR, "package-lock.json"), "utf8")));
+    const packages = (lock && lock.packages) || {};
+
+    const versions = {};
+    for (const packageName of [...new Set(listAdapters().map(adapter => adapter.packageName))].sort()) {
+        const entry = packages[`node_modules/${packageName}`];
+        versions[packageName] = entry ? entry.version : readOrNull(() =>
+            JSON.parse(fs.readFileSync(path.join(ROOT_DIR, "node_modules", packageName, "package.json"), "utf8")).version);
+    }
+    return versions;
+}
+
+function gitState() {
+    const git = args => execFileSync("git", args, { cwd: ROOT_DIR, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+    const commit = readOrNull(() => git(["rev-parse", "HEAD"]));
+    if (!commit) return null;
+    return { commit, dirty: readOrNull(() => git(["status", "--porcelain", "--untracked-files=no"]) !== "") };
+}
+
+function describeEnvironment() {
+    const cpus = os.cpus();
+    return {
+        node: process.version,
+        v8: process.versions.v8,
+        execArgv: process.execArgv,
+        nodeOptions: process.env.NODE_OPTIONS || null,
+        platform: os.platform(),
+        release: os.release(),
+        osVersion: readOrNull(() => os.version()),
+        arch: os.arch(),
+        cpu: cpus.length > 0 ? cpus[0].model.trim() : null,
+        cores: cpus.length,
+        cpuSpeedMHz: cpus.length > 0 && cpus[0].speed > 0 ? cpus[0].speed : null,
+        totalMemory: os.totalmem(),
+        governor: readOrNull(() => fs.readFileSync(GOVERNOR_FILE, "utf8").trim()),
+        validators: validatorVersions(),
+        git: gitState()
+    };
+}
+
+/**
+ * One line for console headers, e.g.
+ * "linux 6.8.0 x64 · AMD EPYC 7B13 × 8 · 31.4 GB · performance governor · --expose-gc · commit 1a2b3c4d5e".
+ */
+function summarizeEnvironment(env) {
+    return [
+        `${env.platform} ${env.release} ${env.arch}`,
+        env.cpu && `${env.cpu} × ${env.cores}`,
+        formatBytes(env.totalMemory),
+        env.governor && `${env.governor} governor`,
+        env.execArgv.length > 0 && env.execArgv.join(" "),
+        env.git && `commit ${env.git.commit.slice(0, 10)}${env.git.dirty ? " with local changes" : ""}`
+    ].filter(Boolean).join(" · ");
+}
+
+/**
+ * A fingerprint value as text: flags joined, "(none)" for no flags or no value.
+ */
+function formatFingerprintValue(value) {
+    if (value === null) return "(none)";
+    if (Array.isArray(value)) return value.length > 0 ? value.join(" ") : "(none)";
+    return String(value);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Fields that differ between two fingerprints: [{ field, label, baseline, current }].
+ * Fields absent on either side (e.g. result sets written before a field
+ * existed) are skipped; null is a value, so an unset NODE_OPTIONS differs
+ * from a set one.
+ */
+function compareEnvironments(baseline = {}, current = {}) {
+    const differences = [];
+    const known = value => value !== undefined;
+
+    for (const [field, label] of Object.entries(FINGERPRINT_FIELDS)) {
+        if (known(baseline[field]) && known(current[field]) && !sameValue(baseline[field], current[field])) {
+            differences.push({ field, label, baseline: baseline[field], current: current[field] });
+        }
+    }
+
+    const packages = new Set([...Object.keys(baseline.validators || {}), ...Object.keys(current.validators || {})]);
+    for (const packageName of [...packages].sort()) {
+        const before = (baseline.validators || {})[packageName];
+        const after = (current.validators || {})[packageName];
+        if (known(before) && known(after) && before !== after) {
+            differences.push({ field: `validators.${packageName}`, label: packageName, baseline: before, current: after });
+        }
+    }
+
+    return differences;
+}
+
+module.exports = {
+    describeEnvironment,
+    summarizeEnvironment,
+    formatFingerprintValue,
+    compareEnvironments
+};
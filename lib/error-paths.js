@@ -0,0 +1,97 @@
+/**
+ * Error Paths
+ *
+ * Most scenarios time valid data, but real traffic also carries payloads with
+ * one, a few or every field wrong, and building the error report is where
+ * libraries differ most. withErrorVariants() adds invalid variants of every
+ * scenario that lists invalid fixtures (lib/conformance.js): each breaks the
+ * first N fixture fields at once and runs once per error mode, with the
+ * libraries supporting that mode (see `errorModes` in adapters/index.js):
+ *
+ * - abort-early: stop at the first failing field
+ * - collect-all: report every failing field
+ *
+ * Fixtures that touch the same field, or a field inside one already broken,
+ * are skipped, so N fixtures mean N failing fields. "all" uses every usable
+ * fixture. Variant ids read `<scenario>~<N>-errors~<mode>`; the variant keeps
+ * the scenario's id as `errorPathOf`.
+ */
+
+const { setPath } = require("./conformance");
+const { withScenarioSchemas } = require("./schemas");
+
+const ERROR_MODES = ["abort-early", "collect-all"];
+
+/**
+ * Parses "1,5,all" into [1, 5, "all"].
+ */
+function parseErrorCounts(spec) {
+    return spec.split(",").map(part => part.trim()).filter(Boolean).map(part => {
+        if (part === "all") return part;
+        const count = Number(part);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Invalid error count "${part}": expected a positive integer or "all"`);
+        }
+        return count;
+    });
+}
+
+function overlaps(a, b) {
+    return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+/**
+ * The scenario's invalid fixtures that can be broken together, in order.
+ */
+function combinableFixtures(scenario) {
+    const fixtures = [];
+    for (const fixture of scenario.invalidFixtures || []) {
+        if (fixture.path === undefined) continue;
+        if (fixtures.some(taken => overlaps(taken.path, fixture.path))) continue;
+        fixtures.push(fixture);
+    }
+    return fixtures;
+}
+
+function errorVariant(scenario, fixtures, errorMode) {
+    const data = structuredClone(scenario.data);
+    for (const fixture of fixtures) setPath(data, fixture.path, fixture.value);
+
+    const count = fixtures.length;
+    return withScenarioSchemas({
+        id: `${scenario.id}~${count}-errors~${errorMode}`,
+        name: `${scenario.name} (${count} error${count === 1 ? "" : "s"}, ${errorMode})`,
+        description: `${scenario.description}; broken: ${fixtures.map(fixture => fixture.label).join(", ")}`,
+        data,
+        schemaBuilders: scenario.schemaBuilders,
+        services: scenario.services,
+        expectFailure: true,
+        errorPathOf: scenario.id,
+        errorCount: count,
+        errorMode
+    });
+}
+
+/**
+ * Returns `suite` with the error variants for `counts` following each of its
+ * scenarios. Scenarios whose data is already invalid get none.
+ */
+function withErrorVariants(suite, counts) {
+    const scenarios = suite.scenarios.flatMap(scenario => {
+        const fixtures = scenario.expectFailure ? [] : combinableFixtures(scenario);
+        const sizes = [...new Set(counts.map(count => (count === "all" ? fixtures.length : Math.min(count, fixtures.length))))]
+            .filter(size => size > 0)
+            .sort((a, b) => a - b);
+
+        const variants = sizes.flatMap(size => ERROR_MODES.map(mode => errorVariant(scenario, fixtures.slice(0, size), mode)));
+        return [scenario, ...variants];
+    });
+    return { ...suite, scenarios };
+}
+
+module.exports = {
+    ERROR_MODES,
+    parseErrorCounts,
+    combinableFixtures,
+    withErrorVariants
+};
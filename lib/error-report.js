@@ -0,0 +1,115 @@
+/**
+ * Error Reports
+ *
+ * A form can only highlight the right field when the error names it.
+ * collectErrorReports() validates every invalid fixture of a scenario (see
+ * lib/conformance.js), and all of them broken at once, with each library in
+ * collect-all mode, and normalizes what the library reported into
+ * [{ path, rule, message }] (see normalizeErrors in adapters/index.js).
+ *
+ * Each fixture names the field it breaks (`path`), so an error is mapped
+ * when its path is that field or lies inside it, and stray when it points
+ * anywhere else, including "" (no field at all).
+ */
+
+const { getAdapter, listAdapters, schemaFor, validateSync, validateAsync, normalizeErrors } = require("../adapters");
+const { setPath } = require("./conformance");
+const { combinableFixtures } = require("./error-paths");
+
+function isWithin(path, field) {
+    return path === field || path.startsWith(`${field}.`);
+}
+
+function errorCases(scenario) {
+    const cases = (scenario.invalidFixtures || [])
+        .filter(fixture => fixture.path !== undefined)
+        .map(fixture => ({ id: fixture.id, label: fixture.label, data: fixture.data, fields: [fixture.path] }));
+
+    // Invalid scenario data already has errors of its own (as in lib/error-paths.js)
+    const combined = scenario.expectFailure ? [] : combinableFixtures(scenario);
+    if (combined.length > 1) {
+        const data = structuredClone(scenario.data);
+        for (const fixture of combined) setPath(data, fixture.path, fixture.value);
+        cases.push({ id: "all", label: `All ${combined.length} at once`, data, fields: combined.map(fixture => fixture.path) });
+    }
+    return cases;
+}
+
+/**
+ * Compares the reported errors with the broken fields:
+ *   { count, paths, mapped, missed, stray }
+ * `mapped` / `missed` are the broken fields with / without an error,
+ * `stray` the errors outside every broken field.
+ */
+function assessErrors(errors, fields) {
+    return {
+        count: errors.length,
+        paths: [...new Set(errors.map(error => error.path))],
+        mapped: fields.filter(field => errors.some(error => isWithin(error.path, field))),
+        missed: fields.filter(field => !errors.some(error => isWithin(error.path, field))),
+        stray: errors.filter(error => !fields.some(field => isWithin(error.path, field)))
+    };
+}
+
+/**
+ * Validates every error case of the scenario with each library. Resolves to
+ * one row per case:
+ *   { id, label, fields, reports: { [library]: { errors, count, paths, mapped, missed, stray } } }
+ */
+async function collectErrorReports(scenario, { isAsync = false, libraries } = {}) {
+    const adapters = (libraries ? libraries.map(getAdapter) : listAdapters())
+        .filter(adapter => schemaFor(scenario.schemas, adapter));
+    const compiled = new Map(adapters.map(adapter => [adapter.name, adapter.compile(schemaFor(scenario.schemas, adapter), {
+        errorMode: adapter.errorModes.includes("collect-all") ? "collect-all" : undefined
+    })]));
+
+    const rows = [];
+    for (const testCase of errorCases(scenario)) {
+        const reports = {};
+        for (const adapter of adapters) {
+            const result = isAsync
+                ? await validateAsync(adapter, compiled.get(adapter.name), testCase.data)
+                : validateSync(adapter, compiled.get(adapter.name), testCase.data);
+            const errors = normalizeErrors(adapter, compiled.get(adapter.name), result.error);
+            reports[adapter.name] = { errors, ...assessErrors(errors, testCase.fields) };
+        }
+        rows.push({ id: testCase.id, label: testCase.label, fields: testCase.fields, reports });
+    }
+
+    return rows;
+}
+
+/**
+ * Rows where libraries report different paths, or a different number of
+ * errors, for the same input.
+ */
+function findDisagreements(rows) {
+    return rows.filter(row => {
+        const reports = Object.values(row.reports);
+        const signature = report => `${report.count}|${[...report.paths].sort().join(",")}`;
+        return new Set(reports.map(signature)).size > 1;
+    });
+}
+
+/**
+ * Totals per library over rows: { [library]: { fields, mapped, errors, stray } }
+ */
+function summarizeMapping(rows) {
+    const summary = {};
+    for (const row of rows) {
+        for (const [library, report] of Object.entries(row.reports)) {
+            const totals = summary[library] || (summary[library] = { fields: 0, mapped: 0, errors: 0, stray: 0 });
+            totals.fields += row.fields.length;
+            totals.mapped += report.mapped.length;
+            totals.errors += report.count;
+            totals.stray += report.stray.length;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    collectErrorReports,
+    findDisagreements,
+    summarizeMapping
+};
@@ -0,0 +1,221 @@
+/**
+ * Fault Injection
+ *
+ * Makes the mock services of a scenario (`scenario.services`) misbehave on a
+ * share of their calls, so we can see how each library surfaces a failing
+ * lookup and what that costs. Fault kinds:
+ *
+ * - reject:    the call returns a rejected promise
+ * - throw:     the call throws synchronously, before returning a promise
+ * - hang:      the call returns a promise that never settles
+ * - malformed: the call resolves to undefined instead of its usual payload
+ *
+ * Faults are written as `service:kind[:rate]`, comma separated, where
+ * `service` is a service method name or `*` for all of them and `rate` is the
+ * share of calls to fail (default 1):
+ *
+ *   validateVIN:malformed,*:reject:0.05
+ *
+ * The first matching rule wins; exact service names are tried before `*`.
+ * Whether a call fails is drawn from lib/random.js, so a seed reproduces it.
+ *
+ * startFaultRun() keeps faults injected for a timed benchmark run and
+ * attributes the injected faults and unhandled rejections to each library.
+ *
+ * surfaceFault() validates once and classifies how the library reported the
+ * fault: as a validation error, by throwing the fault itself, by crashing
+ * with some other error, by accepting the data, or by hanging; plus whether
+ * the fault escaped as an unhandled rejection.
+ */
+
+const { performance } = require("perf_hooks");
+const { describeError } = require("./results");
+const { random } = require("./random");
+
+const FAULT_KINDS = ["reject", "throw", "hang", "malformed"];
+
+const OUTCOMES = {
+    validationError: "validation error",
+    thrown: "fault thrown",
+    crashed: "crashed",
+    accepted: "accepted",
+    hung: "hung"
+};
+
+const SETTLE_GRACE_MS = 20;
+
+class InjectedFault extends Error {
+    constructor(service, kind) {
+        super(`Injected ${kind} fault in ${service}`);
+        this.name = "InjectedFault";
+        this.service = service;
+        this.kind = kind;
+    }
+}
+
+function parseFaultSpec(spec) {
+    return spec.split(",").map(part => part.trim()).filter(Boolean).map(part => {
+        const [service, kind, rateText] = part.split(":");
+        if (!service || !FAULT_KINDS.includes(kind)) {
+            throw new Error(`Invalid fault "${part}": expected service:kind[:rate] with kind one of ${FAULT_KINDS.join(", ")}`);
+        }
+        const rate = rateText === undefined ? 1 : Number(rateText);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+            throw new Error(`Invalid fault "${part}": rate must be between 0 and 1`);
+        }
+        return { service, kind, rate };
+    });
+}
+
+function findRule(faults, service) {
+    return faults.find(fault => fault.service === service) || faults.find(fault => fault.service === "*");
+}
+
+/**
+ * Wraps every method of `services` so calls fail according to `faults`
+ * (parsed rules). `injected` counts the faults per service; call `restore()`
+ * to put the original methods back.
+ */
+function injectFaults(services, faults) {
+    const injected = {};
+    const originals = {};
+
+    for (const [name, method] of Object.entries(services)) {
+        if (typeof method !== "function") continue;
+        const rule = findRule(faults, name);
+        if (!rule) continue;
+
+        originals[name] = method;
+        injected[name] = 0;
+        services[name] = function (...args) {
+            if (random() >= rule.rate) return method.apply(this, args);
+
+            injected[name] += 1;
+            switch (rule.kind) {
+                case "reject":
+                    return Promise.reject(new InjectedFault(name, rule.kind));
+                case "throw":
+                    throw new InjectedFault(name, rule.kind);
+                case "hang":
+                    return new Promise(() => {});
+                default:
+                    return Promise.resolve(undefined);
+            }
+        };
+    }
+
+    return {
+        injected,
+        restore() {
+            Object.assign(services, originals);
+        }
+    };
+}
+
+/**
+ * Collects unhandled rejections until stop() is called. While active, they
+ * no longer crash the process.
+ */
+function trackUnhandledRejections() {
+    const reasons = [];
+    const listener = reason => reasons.push(reason);
+    process.on("unhandledRejection", listener);
+    return {
+        reasons,
+        stop() {
+            process.off("unhandledRejection", listener);
+        }
+    };
+}
+
+/**
+ * Injects `faults` until close() resolves. Bracket each library's share of
+ * the run with begin(library) and end(library) and pass every normalized
+ * validation result to count(); `stats` then holds { injected, failed,
+ * unhandled } per library, where `failed` counts validations whose outcome
+ * differed from the one the scenario expects.
+ */
+function startFaultRun(services, faults) {
+    const injection = injectFaults(services, faults);
+    const unhandled = trackUnhandledRejections();
+    const stats = {};
+    let mark = null;
+
+    const injectedTotal = () => Object.values(injection.injected).reduce((sum, count) => sum + count, 0);
+
+    return {
+        stats,
+        begin(library) {
+            mark = { injected: injectedTotal(), unhandled: unhandled.reasons.length };
+            stats[library] = { injected: 0, failed: 0, unhandled: 0 };
+        },
+        count(library, result, scenario) {
+            if (result.valid === Boolean(scenario.expectFailure)) stats[library].failed++;
+        },
+        end(library) {
+            stats[library].injected = injectedTotal() - mark.injected;
+            stats[library].unhandled = unhandled.reasons.length - mark.unhandled;
+        },
+        async close() {
+            injection.restore();
+            // Let rejections from the last validations surface before we stop listening
+            await new Promise(resolve => setTimeout(resolve, SETTLE_GRACE_MS));
+            unhandled.stop();
+        }
+    };
+}
+
+// Whether a thrown error is a validation failure is up to the adapter: joi's
+// .external() rules, for one, fail with plain Errors
+function classifyError(adapter, error) {
+    if (error instanceof InjectedFault) return { outcome: OUTCOMES.thrown, detail: error.message };
+    if (error && adapter.isValidationError(error)) return { outcome: OUTCOMES.validationError, detail: describeError(error) };
+    return { outcome: OUTCOMES.crashed, detail: `${error && error.name}: ${describeError(error)}` };
+}
+
+/**
+ * Validates `data` once with faults already injected and resolves to
+ * { outcome, detail, ms, unhandled } where `unhandled` counts the unhandled
+ * rejections seen while validating.
+ */
+async function surfaceFault(adapter, compiled, data, { timeout = 1000 } = {}) {
+    const unhandled = trackUnhandledRejections();
+    const start = performance.now();
+    let timer;
+
+    const hang = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ outcome: OUTCOMES.hung, detail: `no result after ${timeout}ms` }), timeout);
+    });
+    const validation = (async () => {
+        try {
+            const result = adapter.normalizeResult(await adapter.validateAsync(compiled, data), null);
+            return result.valid
+                ? { outcome: OUTCOMES.accepted, detail: null }
+                : { outcome: OUTCOMES.validationError, detail: describeError(result.error) };
+        } catch (error) {
+            return classifyError(adapter, error);
+        }
+    })();
+
+    try {
+        const surfaced = await Promise.race([validation, hang]);
+        const ms = performance.now() - start;
+        // Rejections are reported as unhandled once the microtask queue drains
+        await new Promise(resolve => setTimeout(resolve, SETTLE_GRACE_MS));
+        return { ...surfaced, ms, unhandled: unhandled.reasons.length };
+    } finally {
+        clearTimeout(timer);
+        unhandled.stop();
+    }
+}
+
+module.exports = {
+    FAULT_KINDS,
+    OUTCOMES,
+    InjectedFault,
+    parseFaultSpec,
+    injectFaults,
+    trackUnhandledRejections,
+    startFaultRun,
+    surfaceFault
+};
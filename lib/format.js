@@ -0,0 +1,46 @@
+/**
+ * Number formatting shared by the terminal output and the reports.
+ */
+
+function formatOps(hz) {
+    return Math.round(hz).toLocaleString("en-US");
+}
+
+function formatPercent(ratio, digits = 1) {
+    return `${(ratio * 100).toFixed(digits)}%`;
+}
+
+/**
+ * Formats a duration given in milliseconds with a unit that keeps 3
+ * significant digits readable (ns, µs, ms or s).
+ */
+function formatDuration(ms) {
+    if (ms === undefined || ms === null) return "—";
+    if (ms < 0.001) return `${(ms * 1e6).toFixed(0)} ns`;
+    if (ms < 1) return `${(ms * 1e3).toFixed(2)} µs`;
+    if (ms < 1000) return `${ms.toFixed(2)} ms`;
+    return `${(ms / 1000).toFixed(2)} s`;
+}
+
+function formatBytes(bytes) {
+    if (bytes === undefined || bytes === null) return "—";
+    const sign = bytes < 0 ? "-" : "";
+    const value = Math.abs(bytes);
+    if (value < 1024) return `${sign}${value.toFixed(0)} B`;
+    if (value < 1024 ** 2) return `${sign}${(value / 1024).toFixed(1)} KB`;
+    if (value < 1024 ** 3) return `${sign}${(value / 1024 ** 2).toFixed(1)} MB`;
+    return `${sign}${(value / 1024 ** 3).toFixed(1)} GB`;
+}
+
+// Rank marker for the top three of a ranking
+function medal(index) {
+    return index === 0 ? "🥇" : index === 1 ? "🥈" : index === 2 ? "🥉" : "  ";
+}
+
+module.exports = {
+    formatOps,
+    formatBytes,
+    formatPercent,
+    formatDuration,
+    medal
+};
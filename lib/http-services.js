@@ -0,0 +1,110 @@
+/**
+ * HTTP Service Stand-in
+ *
+ * The mock services of the async suites resolve in-process, so their cost is
+ * a timer and nothing else. serveOverHttp() starts a loopback HTTP server that
+ * answers for every method of a scenario's `services` object and swaps each
+ * method for a `fetch` call to it, so every async rule pays for a real socket
+ * round trip, request and response JSON, and connection pooling.
+ *
+ * Every method becomes an endpoint:
+ *
+ *   POST /<method>   body: JSON array of arguments
+ *                    200 { "result": <return value> } | 500 { "error": <message> }
+ *
+ * The server runs the original method to answer, so the mock data and the
+ * run's latency profile (lib/latency.js) apply unchanged.
+ */
+
+const http = require("http");
+
+const HOST = "127.0.0.1";
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on("data", chunk => chunks.push(chunk));
+        request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        request.on("error", reject);
+    });
+}
+
+function sendJson(response, status, body) {
+    const payload = JSON.stringify(body);
+    response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(payload)
+    });
+    response.end(payload);
+}
+
+function createServer(handlers) {
+    return http.createServer(async (request, response) => {
+        const name = request.url.slice(1);
+        if (request.method !== "POST" || !Object.hasOwn(handlers, name)) {
+            sendJson(response, 404, { error: `No endpoint ${request.method} ${request.url}` });
+            return;
+        }
+        try {
+            const args = JSON.parse(await readBody(request));
+            sendJson(response, 200, { result: await handlers[name](...args) });
+        } catch (error) {
+            sendJson(response, 500, { error: error.message });
+        }
+    });
+}
+
+function remoteMethod(url, name) {
+    return async function (...args) {
+        const response = await fetch(`${url}/${name}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(args)
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(`${name} failed with HTTP ${response.status}: ${body.error}`);
+        }
+        return body.result;
+    };
+}
+
+/**
+ * Serves every method of `services` over HTTP and points the methods at the
+ * server. Resolves to { url, close() }; close() resolves once the original
+ * methods are back and the server has shut down.
+ */
+async function serveOverHttp(services) {
+    const originals = {};
+    const handlers = {};
+    for (const [name, method] of Object.entries(services)) {
+        if (typeof method !== "function") continue;
+        originals[name] = method;
+        handlers[name] = method.bind(services);
+    }
+
+    const server = createServer(handlers);
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(0, HOST, resolve);
+    });
+    const url = `http://${HOST}:${server.address().port}`;
+
+    for (const name of Object.keys(originals)) {
+        services[name] = remoteMethod(url, name);
+    }
+
+    return {
+        url,
+        close() {
+            Object.assign(services, originals);
+            // fetch keeps pooled connections open, which would hold close() up
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = {
+    serveOverHttp
+};
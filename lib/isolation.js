@@ -0,0 +1,97 @@
+/**
+ * Process Isolation
+ *
+ * In a normal run every library shares one process, so the JIT state, inline
+ * caches and heap left behind by the libraries measured first shape the
+ * numbers of the ones measured later. runIsolatedScenario() instead runs each
+ * library of a scenario in a fresh child process of bench.js, started with the
+ * same Node flags (e.g. --expose-gc), and gathers the records it writes to
+ * stdout. Each library then starts from the same cold state, so the ranking no
+ * longer depends on the order the libraries run in.
+ */
+
+const path = require("path");
+const { spawn } = require("child_process");
+const { preflightFailureRecord } = require("./results");
+const { selectLibraries } = require("./runners");
+const { formatOps, formatDuration, medal } = require("./format");
+
+const BENCH_SCRIPT = path.join(__dirname, "..", "bench.js");
+const STDERR_TAIL_LINES = 5;
+
+/**
+ * Runs bench.js in a child process with `args` and resolves to the result
+ * set it writes as JSON to stdout. Its progress output is kept and only shown
+ * when the child fails.
+ */
+function runChild(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [...process.execArgv, BENCH_SCRIPT, ...args, "--json", "-"], {
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on("data", chunk => stdout.push(chunk));
+        child.stderr.on("data", chunk => stderr.push(chunk));
+        child.on("error", reject);
+        child.on("close", code => {
+            if (code !== 0) {
+                const tail = Buffer.concat(stderr).toString("utf8").trim().split("\n").slice(-STDERR_TAIL_LINES).join("\n");
+                reject(new Error(`bench.js exited with code ${code}${tail ? `:\n${tail}` : ""}`));
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(stdout).toString("utf8")));
+            } catch (error) {
+                reject(new Error(`Could not read the results of bench.js: ${error.message}`));
+            }
+        });
+    });
+}
+
+/**
+ * Runs every selected library of `scenario` in its own child process and
+ * resolves to their records, fastest first. `childArgs` are the bench.js
+ * options to pass on (timing, seed, latency, ...), without library, scenario
+ * or JSON options.
+ */
+async function runIsolatedScenario(suite, scenario, options, childArgs) {
+    console.log(`\n🧫 ${scenario.name} (one process per library)`);
+    console.log(`📝 ${scenario.description}`);
+    console.log("-".repeat(80));
+
+    const adapters = selectLibraries(scenario, options.libraries);
+    // An error variant only exists in a child asked for its error count
+    const errorArgs = scenario.errorMode ? ["--errors", String(scenario.errorCount)] : [];
+    const records = [];
+    const failedRecords = [];
+
+    for (const adapter of adapters) {
+        try {
+            const resultSet = await runChild([...childArgs, ...errorArgs, "--scenario", scenario.id, "--library", adapter.name]);
+            records.push(...resultSet.results.filter(record => record.scenario === scenario.id));
+            console.log(`   ✅ ${adapter.name}: finished`);
+        } catch (error) {
+            failedRecords.push({ suite: suite.id, suiteName: suite.name, ...preflightFailureRecord(scenario, adapter, "child process", error) });
+            console.log(`   ❌ ${adapter.name}: ${error.message}`);
+        }
+    }
+
+    const measured = records.filter(record => record.opsPerSec !== null).sort((a, b) => b.opsPerSec - a.opsPerSec);
+    if (measured.length > 0) {
+        console.log("\n📊 Isolated Results:");
+        measured.forEach((record, index) => {
+            console.log(`${medal(index)} ${record.library.padEnd(18)}: ${formatOps(record.opsPerSec).padStart(12)} ops/sec ±${record.rme.toFixed(2)}% | p99 ${formatDuration(record.latency.p99)}`);
+        });
+    }
+    if (measured.length > 1) {
+        const speedup = (measured[0].opsPerSec / measured[measured.length - 1].opsPerSec).toFixed(1);
+        console.log(`\n🏆 Winner: ${measured[0].library} (${speedup}x faster than slowest)`);
+    }
+
+    return [...measured, ...records.filter(record => record.opsPerSec === null), ...failedRecords];
+}
+
+module.exports = {
+    runIsolatedScenario
+};
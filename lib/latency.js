@@ -0,0 +1,84 @@
+/**
+ * Mock Service Latency
+ *
+ * The mock async services of the async suites wait through simulateLatency()
+ * instead of hard-coding their own setTimeout, so one run-wide profile decides
+ * how long every call takes:
+ *
+ * - realistic:  each service's own delay (base + uniform jitter), the default
+ * - zero:       resolves on the microtask queue, no timer at all; shows the
+ *               libraries' own async orchestration cost
+ * - lan:        1-3 ms
+ * - wan:        40-80 ms
+ * - heavy-tail: 5 ms plus Pareto-distributed jitter, capped at 500 ms
+ * - outlier:    2-5 ms, with 2% of calls taking 250 ms
+ *
+ * Jitter comes from lib/random.js, so a seed reproduces the same delays for the
+ * same sequence of calls.
+ */
+
+const { random } = require("./random");
+
+const DEFAULT_PROFILE = "realistic";
+
+function uniform(min, max) {
+    return min + random() * (max - min);
+}
+
+const PROFILES = {
+    realistic: {
+        description: "Per-service delays (5-40 ms)",
+        delay: (base, jitter) => base + random() * jitter
+    },
+    zero: {
+        description: "No delay, resolves on the microtask queue",
+        delay: () => null
+    },
+    lan: {
+        description: "1-3 ms",
+        delay: () => uniform(1, 3)
+    },
+    wan: {
+        description: "40-80 ms",
+        delay: () => uniform(40, 80)
+    },
+    "heavy-tail": {
+        description: "5 ms + Pareto jitter (alpha 1.5), capped at 500 ms",
+        delay: () => Math.min(5 + 2 / Math.pow(1 - random(), 1 / 1.5), 500)
+    },
+    outlier: {
+        description: "2-5 ms, 2% of calls take 250 ms",
+        delay: () => (random() < 0.02 ? 250 : uniform(2, 5))
+    }
+};
+
+let currentProfile = DEFAULT_PROFILE;
+
+function setLatencyProfile(name) {
+    if (!PROFILES[name]) {
+        throw new Error(`Unknown latency profile: ${name} (available: ${Object.keys(PROFILES).join(", ")})`);
+    }
+    currentProfile = name;
+}
+
+function getLatencyProfile() {
+    return currentProfile;
+}
+
+/**
+ * Waits as long as the current profile says a service call takes. `base` and
+ * `jitter` (ms) are the service's own delay, used by the realistic profile.
+ */
+function simulateLatency(base, jitter) {
+    const ms = PROFILES[currentProfile].delay(base, jitter);
+    if (ms === null) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILES,
+    setLatencyProfile,
+    getLatencyProfile,
+    simulateLatency
+};
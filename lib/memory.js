@@ -0,0 +1,101 @@
+/**
+ * Memory Measurement
+ *
+ * Runs a validation repeatedly outside the timed benchmark and reports:
+ * - allocatedBytesPerOp: median heap growth per validation. Iterations run in
+ *   chunks; chunks during which the heap shrank (a GC ran) are discarded.
+ * - retainedBytes:       heap still in use after the run, compared to before it
+ * - gcCount / gcPauseMs: garbage collections observed during the run, by kind
+ *
+ * With `node --expose-gc` the heap is collected before and after each run, so
+ * libraries start from the same state and retainedBytes excludes garbage.
+ * Without it, retainedBytes also counts garbage not collected yet.
+ */
+
+const { PerformanceObserver, constants } = require("perf_hooks");
+const { percentile } = require("./stats");
+
+const GC_KINDS = {
+    [constants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+    [constants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+    [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+    [constants.NODE_PERFORMANCE_GC_WEAKCB]: "weakcb"
+};
+
+function isGcExposed() {
+    return typeof global.gc === "function";
+}
+
+function collectGarbage() {
+    if (isGcExposed()) global.gc();
+}
+
+function heapUsed() {
+    return process.memoryUsage().heapUsed;
+}
+
+function observeGc() {
+    const entries = [];
+    const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+    observer.observe({ entryTypes: ["gc"] });
+
+    return async function stop() {
+        // GC entries are delivered asynchronously
+        await new Promise(resolve => setImmediate(resolve));
+        entries.push(...observer.takeRecords());
+        observer.disconnect();
+
+        const byKind = {};
+        for (const entry of entries) {
+            const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || "other";
+            byKind[kind] = (byKind[kind] || 0) + 1;
+        }
+        return {
+            gcCount: entries.length,
+            gcPauseMs: entries.reduce((sum, entry) => sum + entry.duration, 0),
+            gcByKind: byKind
+        };
+    };
+}
+
+/**
+ * Measures `run` (sync, or async when `isAsync`) over `iterations` calls,
+ * sampling the heap every `chunkSize` calls.
+ */
+async function measureMemory(run, { iterations = 1000, chunkSize = 50, isAsync = false } = {}) {
+    collectGarbage();
+    const baseline = heapUsed();
+    const stopObserving = observeGc();
+    const perOp = [];
+
+    for (let done = 0; done < iterations; done += chunkSize) {
+        const calls = Math.min(chunkSize, iterations - done);
+        const before = heapUsed();
+        if (isAsync) {
+            for (let i = 0; i < calls; i++) await run();
+        } else {
+            for (let i = 0; i < calls; i++) run();
+        }
+        const after = heapUsed();
+        if (after >= before) perOp.push((after - before) / calls);
+    }
+
+    const gc = await stopObserving();
+    collectGarbage();
+
+    perOp.sort((a, b) => a - b);
+    return {
+        iterations,
+        allocatedBytesPerOp: perOp.length > 0 ? percentile(perOp, 50) : null,
+        allocationSamples: perOp.length,
+        retainedBytes: heapUsed() - baseline,
+        ...gc,
+        gcExposed: isGcExposed()
+    };
+}
+
+module.exports = {
+    isGcExposed,
+    collectGarbage,
+    measureMemory
+};
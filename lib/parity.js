@@ -0,0 +1,125 @@
+/**
+ * Schema Parity
+ *
+ * Async schemas are written by hand for every library, so one of them can
+ * silently validate less than the others and look faster for it. The parity
+ * check validates the scenario data once per library and counts:
+ *
+ * - fields:   distinct data paths the library read (array indexes collapsed
+ *             to `[]`), recorded through a Proxy around the data
+ * - calls:    invocations of each async service, recorded by wrapping the
+ *             methods of the scenario's `services` object
+ *
+ * A scenario opts in by exposing the object its schemas call through:
+ *
+ *   { id, name, data, schemas, services: externalServices }
+ *
+ * Libraries whose counts differ from the others are reported as mismatches.
+ */
+
+const { getAdapter, listAdapters, schemaFor, validateAsync } = require("../adapters");
+const { instrumentServices } = require("./services");
+
+/**
+ * Wraps plain objects and arrays of `data` in proxies that add every path
+ * read to `paths`. Dates and other class instances are returned untouched so
+ * `instanceof` checks keep working.
+ */
+function isPlain(value) {
+    return value !== null && typeof value === "object"
+        && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype);
+}
+
+function trackReads(data, paths) {
+    const proxies = new WeakMap();
+
+    function wrap(value, path) {
+        if (!isPlain(value)) return value;
+        if (!proxies.has(value)) proxies.set(value, new Map());
+        const cache = proxies.get(value);
+        if (cache.has(path)) return cache.get(path);
+
+        const proxy = new Proxy(value, {
+            get(target, property, receiver) {
+                const result = Reflect.get(target, property, receiver);
+                if (typeof property !== "string" || !Object.prototype.hasOwnProperty.call(target, property)
+                    || (Array.isArray(target) && property === "length")) {
+                    return result;
+                }
+                const segment = Array.isArray(target) ? "[]" : property;
+                const childPath = path ? `${path}.${segment}` : segment;
+                paths.add(childPath);
+                return wrap(result, childPath);
+            }
+        });
+        cache.set(path, proxy);
+        return proxy;
+    }
+
+    return wrap(data, "");
+}
+
+/**
+ * Validates the scenario data once per library and resolves to
+ * [{ library, valid, fields, calls: { [service]: count } }].
+ */
+async function checkParity(scenario, { libraries } = {}) {
+    if (!scenario.services) {
+        throw new Error(`Scenario ${scenario.id} does not expose its services`);
+    }
+
+    const adapters = (libraries ? libraries.map(getAdapter) : listAdapters())
+        .filter(adapter => schemaFor(scenario.schemas, adapter));
+    const instrumented = instrumentServices(scenario.services);
+    const profiles = [];
+
+    try {
+        for (const adapter of adapters) {
+            const compiled = adapter.compile(schemaFor(scenario.schemas, adapter));
+            const paths = new Set();
+            instrumented.reset();
+
+            const result = await validateAsync(adapter, compiled, trackReads(scenario.data, paths));
+            profiles.push({
+                library: adapter.name,
+                valid: result.valid,
+                fields: paths.size,
+                paths: [...paths].sort(),
+                calls: { ...instrumented.calls }
+            });
+        }
+    } finally {
+        instrumented.restore();
+    }
+
+    return profiles;
+}
+
+function totalCalls(profile) {
+    return Object.values(profile.calls).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Profiles whose field count or service calls differ from the most common
+ * profile. An empty array means every library did the same work.
+ *
+ * Only meaningful when every library accepted the data: on invalid data,
+ * libraries that stop at the first error legitimately make fewer calls.
+ */
+function findParityMismatches(profiles) {
+    const signature = profile => JSON.stringify([profile.fields, profile.calls]);
+    const counts = new Map();
+    for (const profile of profiles) {
+        counts.set(signature(profile), (counts.get(signature(profile)) || 0) + 1);
+    }
+    const [reference] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+
+    return profiles.filter(profile => signature(profile) !== reference);
+}
+
+module.exports = {
+    trackReads,
+    checkParity,
+    totalCalls,
+    findParityMismatches
+};
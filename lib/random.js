@@ -0,0 +1,60 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Every suite draws its generated data and its mock service jitter from this
+ * module instead of Math.random(), so a given seed always produces the same
+ * inputs. Suites generate their data when they are loaded: call setSeed()
+ * before requiring them (bench.js does this for --seed).
+ *
+ * The generator is mulberry32: tiny, fast and good enough for test data.
+ */
+
+const DEFAULT_SEED = 1;
+
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+let currentSeed = DEFAULT_SEED;
+let next = mulberry32(currentSeed);
+
+function setSeed(seed) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error(`Seed must be an integer between 0 and ${0xFFFFFFFF}, got "${seed}"`);
+    }
+    currentSeed = seed;
+    next = mulberry32(seed);
+}
+
+function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Drop-in replacement for Math.random(): a float in [0, 1).
+ */
+function random() {
+    return next();
+}
+
+/**
+ * Integer in [min, max], both inclusive.
+ */
+function randomInt(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+module.exports = {
+    DEFAULT_SEED,
+    setSeed,
+    getSeed,
+    random,
+    randomInt
+};
@@ -0,0 +1,329 @@
+/**
+ * HTML Report
+ *
+ * Renders a result set (see lib/results.js) as one self-contained HTML page:
+ * inline CSS and SVG charts, no scripts, fonts or other network requests, so
+ * the file can be attached to a code review or a wiki page as it is. The page
+ * holds the library summary, an ops/sec bar chart per scenario with its
+ * margin of error, and the latency histogram of every library. Optionally:
+ *
+ * - comparisons: the output of compareResultSets() (lib/compare.js), drawn as
+ *                the change per library with its 95% confidence interval
+ * - environmentDifferences: the output of compareEnvironments()
+ *                (lib/environment.js), listed as a warning above them
+ * - scaling:     a document written by `node scaling.js --json`, drawn as
+ *                time per item against item count on log-log axes
+ */
+
+const { formatOps, formatPercent, formatDuration, formatBytes } = require("./format");
+const { summarizeLibraries } = require("./report-markdown");
+const { VERDICTS } = require("./compare");
+const { formatFingerprintValue } = require("./environment");
+
+const PALETTE = ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"];
+const VERDICT_COLORS = {
+    [VERDICTS.faster]: "#59a14f",
+    [VERDICTS.slower]: "#e15759",
+    [VERDICTS.unchanged]: "#9c9c9c"
+};
+
+const CHART_WIDTH = 720;
+const LABEL_WIDTH = 150;
+const VALUE_WIDTH = 130;
+const ROW_HEIGHT = 26;
+
+const STYLE = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #24292f; max-width: 980px; margin: 2em auto; padding: 0 1em; }
+h1, h2, h3 { line-height: 1.25; }
+h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3em; margin-top: 2em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #d0d7de; padding: 4px 10px; text-align: left; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+.muted { color: #57606a; }
+.histograms { display: flex; flex-wrap: wrap; gap: 8px 24px; }
+svg text { font: 12px Helvetica, Arial, sans-serif; fill: #24292f; }
+svg .muted { fill: #57606a; }
+svg .axis { stroke: #8c959f; }
+svg .grid { stroke: #eaeef2; }
+svg .whisker { stroke: #24292f; stroke-width: 1.5; }
+`;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function svg(width, height, body, label) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">${body}</svg>`;
+}
+
+/**
+ * One color per library, stable across every chart of the page.
+ */
+function libraryColors(libraries) {
+    return new Map([...new Set(libraries)].sort().map((library, index) => [library, PALETTE[index % PALETTE.length]]));
+}
+
+/**
+ * Horizontal ops/sec bars, fastest first, with the margin of error as a
+ * whisker.
+ */
+function renderBarChart(records, colors) {
+    const ranked = records.filter(record => record.opsPerSec !== null).sort((a, b) => b.opsPerSec - a.opsPerSec);
+    if (ranked.length === 0) return "";
+
+    const plotWidth = CHART_WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+    const max = Math.max(...ranked.map(record => record.opsPerSec * (1 + record.rme / 100)));
+    const x = value => LABEL_WIDTH + value / max * plotWidth;
+
+    const rows = ranked.map((record, index) => {
+        const y = index * ROW_HEIGHT;
+        const low = record.opsPerSec * (1 - record.rme / 100);
+        const high = record.opsPerSec * (1 + record.rme / 100);
+        return [
+            `<text x="${LABEL_WIDTH - 8}" y="${y + 17}" text-anchor="end">${escapeHtml(record.library)}</text>`,
+            `<rect x="${LABEL_WIDTH}" y="${y + 4}" width="${round(x(record.opsPerSec) - LABEL_WIDTH)}" height="${ROW_HEIGHT - 8}" fill="${colors.get(record.library)}"><title>${escapeHtml(`${record.library}: ${formatOps(record.opsPerSec)} ops/sec ±${record.rme.toFixed(2)}%`)}</title></rect>`,
+            `<line class="whisker" x1="${round(x(low))}" x2="${round(x(high))}" y1="${y + ROW_HEIGHT / 2}" y2="${y + ROW_HEIGHT / 2}"/>`,
+            `<text x="${round(x(high)) + 6}" y="${y + 17}">${formatOps(record.opsPerSec)} ±${record.rme.toFixed(1)}%</text>`
+        ].join("");
+    });
+
+    return svg(CHART_WIDTH, ranked.length * ROW_HEIGHT, rows.join(""), "ops/sec per library");
+}
+
+/**
+ * Column chart of one record's latency histogram (log-spaced buckets drawn
+ * with equal widths).
+ */
+function renderHistogram(record, color) {
+    const buckets = record.latency && record.latency.histogram;
+    if (!buckets || buckets.length === 0) return "";
+
+    const width = 300;
+    const height = 110;
+    const plotHeight = height - 36;
+    const barWidth = width / buckets.length;
+    const maxCount = Math.max(...buckets.map(bucket => bucket.count));
+
+    const bars = buckets.map((bucket, index) => {
+        const barHeight = maxCount > 0 ? bucket.count / maxCount * plotHeight : 0;
+        return `<rect x="${round(index * barWidth + 1)}" y="${round(18 + plotHeight - barHeight)}" width="${round(barWidth - 2)}" height="${round(barHeight)}" fill="${color}"><title>${escapeHtml(`${formatDuration(bucket.from)} – ${formatDuration(bucket.to)}: ${bucket.count}`)}</title></rect>`;
+    });
+    const body = [
+        `<text x="0" y="12">${escapeHtml(record.library)} <tspan class="muted">p50 ${formatDuration(record.latency.p50)} · p99 ${formatDuration(record.latency.p99)}</tspan></text>`,
+        ...bars,
+        `<line class="axis" x1="0" x2="${width}" y1="${18 + plotHeight}" y2="${18 + plotHeight}"/>`,
+        `<text x="0" y="${height - 2}">${formatDuration(buckets[0].from)}</text>`,
+        `<text x="${width}" y="${height - 2}" text-anchor="end">${formatDuration(buckets[buckets.length - 1].to)}</text>`
+    ];
+    return svg(width, height, body.join(""), `latency histogram of ${record.library}`);
+}
+
+function renderScenario(records, colors) {
+    const { scenarioName, description } = records[0];
+    const histograms = records
+        .filter(record => record.opsPerSec !== null)
+        .sort((a, b) => b.opsPerSec - a.opsPerSec)
+        .map(record => renderHistogram(record, colors.get(record.library)))
+        .filter(Boolean);
+    const failed = records.filter(record => record.opsPerSec === null);
+
+    return [
+        `<h3>${escapeHtml(scenarioName)}</h3>`,
+        description ? `<p class="muted">${escapeHtml(description)}</p>` : "",
+        renderBarChart(records, colors),
+        failed.length > 0 ? `<p>Not measured: ${failed.map(record => `${escapeHtml(record.library)} (${escapeHtml(record.error || "preflight failed")})`).join(", ")}</p>` : "",
+        histograms.length > 0 ? `<details><summary>Latency histograms</summary><div class="histograms">${histograms.join("")}</div></details>` : ""
+    ].join("\n");
+}
+
+function renderSummary(results) {
+    const rows = summarizeLibraries(results).map(summary => `<tr><td>${escapeHtml(summary.library)}</td><td>${escapeHtml(summary.version || "—")}</td>`
+        + `<td class="number">${summary.scenarios}</td><td class="number">${summary.wins}</td>`
+        + `<td class="number">${formatPercent(summary.relative)}</td><td class="number">±${summary.rme.toFixed(2)}%</td></tr>`);
+    return `<table><thead><tr><th>Library</th><th>Version</th><th>Scenarios</th><th>Wins</th><th>Average Relative Speed</th><th>Average Margin of Error</th></tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+function renderEnvironment(resultSet) {
+    const env = resultSet.environment || {};
+    const options = resultSet.options || {};
+    const items = [
+        env.node && `Node.js ${env.node}${env.v8 ? ` (V8 ${env.v8})` : ""}${env.execArgv && env.execArgv.length > 0 ? ` with ${env.execArgv.join(" ")}` : ""}`,
+        env.platform && `${[env.platform, env.release].filter(Boolean).join(" ")} (${env.arch})`,
+        env.cpu && `${env.cpu} × ${env.cores} cores${env.governor ? `, ${env.governor} governor` : ""}`,
+        env.totalMemory && `${formatBytes(env.totalMemory)} memory`,
+        env.validators && `Validators: ${Object.entries(env.validators).map(([name, version]) => `${name} ${version || "unknown"}`).join(", ")}`,
+        env.git && `Commit ${env.git.commit.slice(0, 10)}${env.git.dirty ? " with local changes" : ""}`,
+        options.time && `Each task runs for ${options.time}ms`,
+        options.seed !== undefined && `Seed ${options.seed}`,
+        options.latency && `Service latency: ${options.latency}`,
+        options.isolate && "Every library ran each scenario in its own child process"
+    ].filter(Boolean);
+    return `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Change per library with its confidence interval, around a zero line.
+ */
+function renderComparisonChart(comparisons) {
+    const measured = comparisons.filter(comparison => comparison.delta !== null);
+    const bound = Math.max(5, ...measured.flatMap(comparison => [Math.abs(comparison.ciLow), Math.abs(comparison.ciHigh)]));
+    const plotWidth = CHART_WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+    const x = percent => LABEL_WIDTH + (percent + bound) / (2 * bound) * plotWidth;
+
+    const rows = comparisons.map((comparison, index) => {
+        const y = index * ROW_HEIGHT;
+        const label = `<text x="${LABEL_WIDTH - 8}" y="${y + 17}" text-anchor="end">${escapeHtml(comparison.library)}</text>`;
+        if (comparison.delta === null) {
+            return `${label}<text x="${x(0) + 6}" y="${y + 17}" class="muted">${escapeHtml(comparison.verdict)}</text>`;
+        }
+        const left = Math.min(x(0), x(comparison.delta));
+        const sign = comparison.delta >= 0 ? "+" : "";
+        return [
+            label,
+            `<rect x="${round(left)}" y="${y + 4}" width="${round(Math.abs(x(comparison.delta) - x(0)))}" height="${ROW_HEIGHT - 8}" fill="${VERDICT_COLORS[comparison.verdict]}"><title>${escapeHtml(`${comparison.library}: ${sign}${comparison.delta.toFixed(1)}% [${comparison.ciLow.toFixed(1)}%, ${comparison.ciHigh.toFixed(1)}%], ${comparison.verdict}`)}</title></rect>`,
+            `<line class="whisker" x1="${round(x(comparison.ciLow))}" x2="${round(x(comparison.ciHigh))}" y1="${y + ROW_HEIGHT / 2}" y2="${y + ROW_HEIGHT / 2}"/>`,
+            `<text x="${CHART_WIDTH - VALUE_WIDTH + 8}" y="${y + 17}">${sign}${comparison.delta.toFixed(1)}% ${escapeHtml(comparison.verdict === VERDICTS.unchanged ? "≈" : comparison.verdict)}</text>`
+        ].join("");
+    });
+
+    const height = comparisons.length * ROW_HEIGHT;
+    const axis = `<line class="axis" x1="${x(0)}" x2="${x(0)}" y1="0" y2="${height}"/>`;
+    return svg(CHART_WIDTH, height, axis + rows.join(""), "change in ops/sec per library");
+}
+
+function renderComparisons(comparisons) {
+    const scenarios = new Map();
+    for (const comparison of comparisons) {
+        if (!scenarios.has(comparison.scenario)) scenarios.set(comparison.scenario, []);
+        scenarios.get(comparison.scenario).push(comparison);
+    }
+    return [...scenarios.values()]
+        .map(group => `<h3>${escapeHtml(group[0].scenarioName)}</h3>\n${renderComparisonChart(group)}`)
+        .join("\n");
+}
+
+/**
+ * Time per item against item count for every library, both axes log10.
+ */
+function renderScalingChart(scenario, colors) {
+    const curves = Object.entries(scenario.curves).filter(([, curve]) => curve.points.length > 0);
+    if (curves.length === 0) return "";
+
+    const width = CHART_WIDTH;
+    const height = 300;
+    const margin = { left: 80, right: 160, top: 10, bottom: 30 };
+    const points = curves.flatMap(([, curve]) => curve.points);
+    const sizes = [...new Set(points.map(point => point.size))].sort((a, b) => a - b);
+    const minX = Math.log10(sizes[0]);
+    const maxX = Math.log10(sizes[sizes.length - 1]);
+    const minY = Math.floor(Math.log10(Math.min(...points.map(point => point.msPerItem))));
+    const maxY = Math.ceil(Math.log10(Math.max(...points.map(point => point.msPerItem))));
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const x = size => margin.left + (maxX === minX ? plotWidth / 2 : (Math.log10(size) - minX) / (maxX - minX) * plotWidth);
+    const y = ms => margin.top + plotHeight - (Math.log10(ms) - minY) / Math.max(maxY - minY, 1) * plotHeight;
+
+    const grid = [];
+    for (let decade = minY; decade <= maxY; decade++) {
+        const yPos = round(y(10 ** decade));
+        grid.push(`<line class="grid" x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${yPos}" y2="${yPos}"/>`);
+        grid.push(`<text x="${margin.left - 6}" y="${yPos + 4}" text-anchor="end">${formatDuration(10 ** decade)}</text>`);
+    }
+    for (const size of sizes) {
+        grid.push(`<line class="grid" x1="${round(x(size))}" x2="${round(x(size))}" y1="${margin.top}" y2="${margin.top + plotHeight}"/>`);
+        grid.push(`<text x="${round(x(size))}" y="${height - 10}" text-anchor="middle">${size.toLocaleString("en-US")}</text>`);
+    }
+
+    const lines = curves.map(([library, curve], index) => {
+        const color = colors.get(library);
+        const coordinates = curve.points.map(point => `${round(x(point.size))},${round(y(point.msPerItem))}`);
+        const dots = curve.points.map(point => `<circle cx="${round(x(point.size))}" cy="${round(y(point.msPerItem))}" r="3" fill="${color}"><title>${escapeHtml(`${library}, ${point.size.toLocaleString("en-US")} items: ${formatDuration(point.msPerItem)} per item, ${formatOps(point.opsPerSec)} ops/sec`)}</title></circle>`);
+        const legendY = margin.top + 8 + index * 18;
+        const exponent = curve.fit ? ` n^${curve.fit.exponent.toFixed(2)}` : "";
+        return [
+            `<polyline points="${coordinates.join(" ")}" fill="none" stroke="${color}" stroke-width="2"/>`,
+            ...dots,
+            `<rect x="${width - margin.right + 12}" y="${legendY - 9}" width="10" height="10" fill="${color}"/>`,
+            `<text x="${width - margin.right + 28}" y="${legendY}">${escapeHtml(library)}${exponent}</text>`
+        ].join("");
+    });
+
+    const axes = `<line class="axis" x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}"/>`
+        + `<line class="axis" x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}"/>`;
+    return svg(width, height, grid.join("") + axes + lines.join(""), `time per item of ${scenario.scenarioName}`);
+}
+
+function renderScaling(scaling, colors) {
+    return scaling.scenarios
+        .map(scenario => `<h3>${escapeHtml(scenario.scenarioName)}</h3>\n<p class="muted">Time per item against item count, both axes logarithmic; a flat line scales linearly. The legend shows the fitted exponent k of t(n) = c · n^k.</p>\n${renderScalingChart(scenario, colors)}`)
+        .join("\n");
+}
+
+function renderEnvironmentDifferences(differences) {
+    if (!differences || differences.length === 0) return "";
+    const items = differences.map(difference => `<li>${escapeHtml(`${difference.label}: ${formatFingerprintValue(difference.baseline)} → ${formatFingerprintValue(difference.current)}`)}</li>`);
+    return `<p>⚠️ The runs were measured in different environments; changes may not come from the code alone:</p><ul>${items.join("")}</ul>`;
+}
+
+function renderHtmlReport(resultSet, { title = "Validation Library Benchmark Results", comparisons, environmentDifferences, scaling } = {}) {
+    const results = resultSet.results;
+    const colors = libraryColors([
+        ...results.map(record => record.library),
+        ...(scaling ? scaling.scenarios.flatMap(scenario => Object.keys(scenario.curves)) : [])
+    ]);
+
+    const sections = [
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p class="muted">Generated from a benchmark results file on ${escapeHtml(resultSet.generatedAt)}.</p>`,
+        renderEnvironment(resultSet),
+        "<h2>Library Summary</h2>",
+        renderSummary(results)
+    ];
+
+    const suites = new Map();
+    for (const record of results) {
+        if (!suites.has(record.suite)) suites.set(record.suite, new Map());
+        const scenarios = suites.get(record.suite);
+        if (!scenarios.has(record.scenario)) scenarios.set(record.scenario, []);
+        scenarios.get(record.scenario).push(record);
+    }
+    for (const scenarios of suites.values()) {
+        const first = scenarios.values().next().value[0];
+        sections.push(`<h2>${escapeHtml(first.suiteName || first.suite)}</h2>`);
+        for (const records of scenarios.values()) {
+            sections.push(renderScenario(records, colors));
+        }
+    }
+
+    if (scaling) {
+        sections.push("<h2>Scaling</h2>", renderScaling(scaling, colors));
+    }
+    if (comparisons) {
+        sections.push("<h2>Run-to-Run Comparison</h2>", "<p class=\"muted\">Change in ops/sec against the baseline run; the whisker is the 95% confidence interval. Green is significantly faster, red significantly slower.</p>", renderEnvironmentDifferences(environmentDifferences), renderComparisons(comparisons));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${sections.filter(Boolean).join("\n")}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderHtmlReport
+};
@@ -0,0 +1,327 @@
+/**
+ * Markdown Report
+ *
+ * Renders a result set (see lib/results.js) in the BENCHMARK_RESULTS.md layout:
+ * overview, test environment, one table per scenario with the relative speed
+ * against the fastest library, a library summary, how libraries compare with
+ * their variants (e.g. validant with a shared validator instance), the
+ * fairness notes and insights computed from the numbers themselves.
+ *
+ * Given the comparisons against a baseline run (see lib/compare.js), every
+ * scenario table gains a ⬆️/⬇️ change column and libraries whose version
+ * differs between the runs get a version comparison section.
+ */
+
+const { formatOps, formatBytes, formatPercent, formatDuration } = require("./format");
+const { compareVariants } = require("./results");
+const { VERDICTS, VERDICT_ICONS, formatChange } = require("./compare");
+
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+function groupBy(items, key) {
+    const groups = new Map();
+    for (const item of items) {
+        const value = item[key];
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(item);
+    }
+    return groups;
+}
+
+function measured(records) {
+    return records
+        .filter(record => record.opsPerSec !== null)
+        .sort((a, b) => b.opsPerSec - a.opsPerSec);
+}
+
+/**
+ * Geometric mean of each library's speed relative to the fastest library of
+ * every scenario it took part in.
+ */
+function summarizeLibraries(results) {
+    const libraries = new Map();
+
+    for (const records of groupBy(results, "scenario").values()) {
+        const ranked = measured(records);
+        if (ranked.length === 0) continue;
+        const fastest = ranked[0].opsPerSec;
+
+        ranked.forEach((record, index) => {
+            if (!libraries.has(record.library)) {
+                libraries.set(record.library, { library: record.library, version: record.libraryVersion, logRelative: 0, rme: 0, scenarios: 0, wins: 0 });
+            }
+            const summary = libraries.get(record.library);
+            summary.logRelative += Math.log(record.opsPerSec / fastest);
+            summary.rme += record.rme;
+            summary.scenarios += 1;
+            if (index === 0) summary.wins += 1;
+        });
+    }
+
+    return [...libraries.values()]
+        .map(summary => ({
+            library: summary.library,
+            version: summary.version,
+            scenarios: summary.scenarios,
+            wins: summary.wins,
+            relative: Math.exp(summary.logRelative / summary.scenarios),
+            rme: summary.rme / summary.scenarios
+        }))
+        .sort((a, b) => b.relative - a.relative);
+}
+
+function renderEnvironment(resultSet) {
+    const env = resultSet.environment || {};
+    const options = resultSet.options || {};
+    const lines = ["**Test Environment:**"];
+
+    if (env.node) lines.push(`- Node.js ${env.node}${env.v8 ? ` (V8 ${env.v8})` : ""}`);
+    if (env.execArgv && env.execArgv.length > 0) lines.push(`- Node flags: \`${env.execArgv.join(" ")}\``);
+    if (env.nodeOptions) lines.push(`- NODE_OPTIONS: \`${env.nodeOptions}\``);
+    if (env.platform) lines.push(`- ${[env.platform, env.release].filter(Boolean).join(" ")} (${env.arch})`);
+    if (env.cpu) lines.push(`- ${env.cpu} × ${env.cores} cores${env.governor ? `, ${env.governor} governor` : ""}`);
+    if (env.totalMemory) lines.push(`- ${formatBytes(env.totalMemory)} memory`);
+    if (env.validators) {
+        lines.push(`- Validators (package-lock.json): ${Object.entries(env.validators).map(([name, version]) => `${name} ${version || "unknown"}`).join(", ")}`);
+    }
+    if (env.git) lines.push(`- Commit \`${env.git.commit.slice(0, 10)}\`${env.git.dirty ? " with local changes" : ""}`);
+    lines.push(options.time
+        ? `- Each task runs for ${options.time}ms`
+        : "- Each task runs with the runner defaults (tinybench: 2 seconds, Benchmark.js: up to 5 seconds)");
+    if (options.iterations) lines.push(`- Minimum ${options.iterations} iterations per task`);
+    if (options.warmup !== undefined) lines.push(`- ${options.warmup} warmup iterations per task`);
+    if (options.seed !== undefined) lines.push(`- Test data seed ${options.seed}`);
+    if (options.latency) lines.push(`- Mock service latency profile: ${options.latency}`);
+    if (options.isolate) lines.push("- Every library ran each scenario in its own child process");
+    if (options.http) lines.push("- Mock services served over loopback HTTP and called with fetch");
+    if (options.errors) lines.push(`- Error paths: invalid variants with ${options.errors.join(", ")} failing field(s), abort-early and collect-all`);
+    if (options.faults) {
+        lines.push(`- Injected service faults: ${options.faults.map(fault => `${fault.service} ${fault.kind} ${(fault.rate * 100).toFixed(0)}%`).join(", ")}`);
+    }
+    if (options.load) lines.push(`- Async scenarios run as concurrent load (${options.concurrency || "default"} validations in flight)`);
+    lines.push(`- Generated ${resultSet.generatedAt}`);
+
+    return lines.join("\n");
+}
+
+function renderMemoryCells(memory) {
+    if (!memory) return " — | — | — |";
+    return ` ${formatBytes(memory.allocatedBytesPerOp)} | ${formatBytes(memory.retainedBytes)} | ${memory.gcCount} (${memory.gcPauseMs.toFixed(2)} ms) |`;
+}
+
+// "⬆️ +3.2%": the change against the baseline run; "—" when there is none to show
+function renderChangeCell(comparison) {
+    if (!comparison || comparison.verdict === VERDICTS.missing) return " — |";
+    if (comparison.delta === null) return ` ${VERDICT_ICONS[comparison.verdict]} ${comparison.verdict} |`;
+    return ` ${VERDICT_ICONS[comparison.verdict]} ${comparison.delta >= 0 ? "+" : ""}${comparison.delta.toFixed(1)}% |`;
+}
+
+/**
+ * `changes` maps each library of the scenario to its comparison against the
+ * baseline run; without it the change column is left out.
+ */
+function renderScenario(records, changes) {
+    const first = records[0];
+    const ranked = measured(records);
+    const failed = records.filter(record => record.opsPerSec === null);
+    const fastest = ranked.length > 0 ? ranked[0].opsPerSec : null;
+    const withMemory = records.some(record => record.memory);
+
+    const lines = [
+        `### 🎯 ${first.scenarioName}`,
+        first.description ? `**Description:** ${first.description}` : null,
+        "",
+        `| Library | Performance | Relative Speed |${changes ? " vs Baseline |" : ""} p99 Latency |${withMemory ? " Allocated/op | Retained | GC |" : ""}`,
+        `|---------|-------------|----------------|${changes ? "-------------|" : ""}-------------|${withMemory ? "--------------|----------|----|" : ""}`
+    ].filter(line => line !== null);
+
+    ranked.forEach((record, index) => {
+        const performance = `${formatOps(record.opsPerSec)} ±${record.rme.toFixed(2)}% ops/sec`;
+        const relative = index === 0 ? "Baseline (100%)" : formatPercent(record.opsPerSec / fastest);
+        const change = changes ? renderChangeCell(changes.get(record.library)) : "";
+        const p99 = formatDuration(record.latency && record.latency.p99);
+        const note = record.preflight === "fail" ? " ⚠️" : "";
+        const memory = withMemory ? renderMemoryCells(record.memory) : "";
+
+        if (index < MEDALS.length) {
+            lines.push(`| ${MEDALS[index]} **${record.library}**${note} | **${performance}** | **${relative}** |${change} ${p99} |${memory}`);
+        } else {
+            lines.push(`| ${record.library}${note} | ${performance} | ${relative} |${change} ${p99} |${memory}`);
+        }
+    });
+
+    for (const record of failed) {
+        const change = changes ? renderChangeCell(changes.get(record.library)) : "";
+        lines.push(`| ${record.library} | ❌ preflight failed | — |${change} — |${withMemory ? " — | — | — |" : ""}`);
+    }
+
+    return lines.join("\n");
+}
+
+function deriveInsights(results, summaries) {
+    const insights = [];
+    const scenarios = [...groupBy(results, "scenario").values()];
+
+    if (summaries.length > 0) {
+        const leader = summaries[0];
+        insights.push(`**${leader.library}** has the best overall standing, averaging ${formatPercent(leader.relative)} of the fastest library across ${leader.scenarios} scenario(s) with ${leader.wins} win(s).`);
+
+        const steadiest = [...summaries].sort((a, b) => a.rme - b.rme)[0];
+        insights.push(`**${steadiest.library}** is the most consistent, with an average margin of error of ±${steadiest.rme.toFixed(2)}%.`);
+    }
+
+    let widest = null;
+    for (const records of scenarios) {
+        const ranked = measured(records);
+        if (ranked.length < 2) continue;
+        const fastest = ranked[0];
+        const slowest = ranked[ranked.length - 1];
+        const spread = fastest.opsPerSec / slowest.opsPerSec;
+        if (!widest || spread > widest.spread) widest = { spread, fastest, slowest };
+
+        // Overlapping error margins mean the ranking of the top two is not meaningful
+        const runnerUp = ranked[1];
+        const gap = (fastest.opsPerSec - runnerUp.opsPerSec) / fastest.opsPerSec * 100;
+        if (gap <= fastest.rme + runnerUp.rme) {
+            insights.push(`In **${fastest.scenarioName}**, ${fastest.library} and ${runnerUp.library} are within their margins of error of each other (${gap.toFixed(1)}% apart).`);
+        }
+    }
+
+    if (widest) {
+        insights.push(`The widest spread is in **${widest.fastest.scenarioName}**, where ${widest.fastest.library} is ${widest.spread.toFixed(1)}x faster than ${widest.slowest.library}.`);
+    }
+
+    for (const record of results.filter(record => record.preflight === "fail")) {
+        insights.push(`⚠️ ${record.library} did not produce the expected outcome in **${record.scenarioName}**${record.error ? `: ${record.error}` : ""}.`);
+    }
+
+    return insights;
+}
+
+function renderLibrarySummary(summaries) {
+    const lines = [
+        "| Library | Version | Scenarios | Wins | Average Relative Speed | Average Margin of Error |",
+        "|---------|---------|-----------|------|------------------------|-------------------------|"
+    ];
+    for (const summary of summaries) {
+        lines.push(`| ${summary.library} | ${summary.version || "—"} | ${summary.scenarios} | ${summary.wins} | ${formatPercent(summary.relative)} | ±${summary.rme.toFixed(2)}% |`);
+    }
+    return lines.join("\n");
+}
+
+function renderVariants(results) {
+    const comparisons = [...groupBy(results, "scenario").values()].flatMap(compareVariants);
+    if (comparisons.length === 0) return null;
+
+    const lines = [
+        "| Scenario | Library | Variant | Library ops/sec | Variant ops/sec | Library Overhead | Per Validation |",
+        "|----------|---------|---------|-----------------|-----------------|------------------|----------------|"
+    ];
+    for (const { variant, base, overhead, extraMs } of comparisons) {
+        const noise = Math.abs(overhead) * 100 <= variant.rme + base.rme ? " (within error)" : "";
+        lines.push(`| ${base.scenarioName} | ${base.library} | ${variant.library} | ${formatOps(base.opsPerSec)} | ${formatOps(variant.opsPerSec)} | ${overhead >= 0 ? "+" : "-"}${formatPercent(Math.abs(overhead))}${noise} | ${overhead >= 0 ? "+" : "-"}${formatDuration(Math.abs(extraMs))} |`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Every scenario in which a library ran with a different version than in the
+ * baseline run.
+ */
+function renderVersionComparison(comparisons) {
+    const changed = comparisons.filter(comparison =>
+        comparison.baseline && comparison.current &&
+        comparison.baseline.libraryVersion !== comparison.current.libraryVersion);
+    if (changed.length === 0) return null;
+
+    const lines = [
+        "| Scenario | Library | Baseline | Current | Change [95% CI] | Verdict |",
+        "|----------|---------|----------|---------|-----------------|---------|"
+    ];
+    for (const comparison of changed) {
+        const side = ({ libraryVersion, opsPerSec }) => `v${libraryVersion || "unknown"}: ${opsPerSec === null ? "—" : `${formatOps(opsPerSec)} ops/sec`}`;
+        lines.push(`| ${comparison.scenarioName} | ${comparison.library} | ${side(comparison.baseline)} | ${side(comparison.current)} | ${formatChange(comparison)} | ${VERDICT_ICONS[comparison.verdict]} ${comparison.verdict} |`);
+    }
+    return lines.join("\n");
+}
+
+function renderFairness(options = {}) {
+    const lines = [
+        "Every library validates the same data with equivalent rules:",
+        "- ✅ Email validation with regex patterns",
+        "- ✅ Password length constraints (8-100 characters)",
+        "- ✅ Age validation with integer constraints (13-120)",
+        "- ✅ URL validation with regex patterns",
+        "- ✅ Enum validation for categories and themes",
+        "- ✅ String length constraints for all text fields",
+        "- ✅ Integer validation for numeric fields",
+        "- ✅ Boolean validation for flags",
+        "",
+        "Run `npm run conformance` to check this: every scenario carries labelled invalid fixtures, and the run prints which library accepted or rejected each one."
+    ];
+    if (!options.isolate) {
+        lines.push("", "Libraries measured in the same process inherit each other's JIT and heap state, so the ranking can shift with the order they run in. Run `node bench.js --isolate` (add `--expose-gc` to node for memory runs) to give every library a fresh child process per scenario before publishing a ranking.");
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Options:
+ *   title        report title
+ *   comparisons  compareResultSets(baseline, resultSet), for the change
+ *                column and the version comparison
+ */
+function renderMarkdownReport(resultSet, { title = "Validation Library Benchmark Results", comparisons } = {}) {
+    const results = resultSet.results;
+    const summaries = summarizeLibraries(results);
+    const scenarioCount = groupBy(results, "scenario").size;
+    const versions = new Map(results
+        .map(record => [record.library, record.libraryVersion])
+        .sort(([a], [b]) => a.localeCompare(b)));
+
+    const sections = [
+        `# ${title}`,
+        "## Overview",
+        `This report compares ${versions.size} JavaScript validation libraries across ${scenarioCount} scenarios. It is generated from a benchmark results file with \`node report.js\`; do not edit it by hand, change lib/report-markdown.js instead. Earlier hand-written comparisons between library versions are kept in [BENCHMARK_HISTORY.md](BENCHMARK_HISTORY.md).`,
+        ["**Libraries Tested:**", ...[...versions].map(([library, version]) => `- \`${library}\`${version ? ` v${version}` : ""}`)].join("\n"),
+        renderEnvironment(resultSet)
+    ];
+
+    for (const suiteRecords of groupBy(results, "suite").values()) {
+        sections.push(`## ${suiteRecords[0].suiteName || suiteRecords[0].suite}`);
+        for (const records of groupBy(suiteRecords, "scenario").values()) {
+            const changes = comparisons && new Map(comparisons
+                .filter(comparison => comparison.scenario === records[0].scenario)
+                .map(comparison => [comparison.library, comparison]));
+            sections.push(renderScenario(records, changes));
+        }
+    }
+
+    sections.push("## Library Summary", renderLibrarySummary(summaries));
+
+    const versionComparison = comparisons && renderVersionComparison(comparisons);
+    if (versionComparison) {
+        sections.push("## Version Comparison", "Libraries that ran a different version in the baseline run. A change is significant when its 95% confidence interval does not include zero.", versionComparison);
+    }
+
+    const variants = renderVariants(results);
+    if (variants) {
+        sections.push("## Library Variants", "Each variant runs the same schemas as its library with one change; validant-shared reuses one validator instance instead of creating one per call.", variants);
+    }
+
+    sections.push("## Fairness", renderFairness(resultSet.options));
+
+    const insights = deriveInsights(results, summaries);
+    if (insights.length > 0) {
+        sections.push("## Key Insights", insights.map(insight => `- ${insight}`).join("\n"));
+    }
+
+    sections.push(`**Last Updated:** ${resultSet.generatedAt}`);
+
+    return sections.join("\n\n") + "\n";
+}
+
+module.exports = {
+    renderMarkdownReport,
+    summarizeLibraries
+};
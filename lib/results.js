@@ -0,0 +1,229 @@
+/**
+ * Benchmark Results
+ *
+ * Turns tinybench tasks and Benchmark.js benchmarks into one record shape and
+ * wraps a run's records into a JSON result set:
+ *
+ * {
+ *   schemaVersion, generatedAt, environment, options,
+ *   results: [{
+ *     suite, suiteName, scenario, scenarioName, description, library, variantOf?, libraryVersion, runner,
+ *     preflight: "pass" | "fail", error?,
+ *     opsPerSec, rme, samples,
+ *     latency: { mean, min, max, p50, p75, p90, p99, p999,    // milliseconds per validation
+ *                histogram: [{ from, to, count }] },
+ *     memory?: { allocatedBytesPerOp, retainedBytes, gcCount, gcPauseMs, ... },
+ *     load?: { concurrency, completed, elapsedMs, eventLoopDelay: { mean, p50, p99, max } },
+ *     faults?: { injected, failed, unhandled }
+ *   }]
+ * }
+ *
+ * `environment` is the machine fingerprint of lib/environment.js. Libraries
+ * that fail the preflight check are still listed, with null stats.
+ * `variantOf` names the library a variant adapter runs the schemas of (e.g.
+ * validant-shared of validant).
+ * Records of error variants (see lib/error-paths.js) also carry `errorPathOf`,
+ * `errorCount` and `errorMode`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { percentile, histogram } = require("./stats");
+const { describeEnvironment } = require("./environment");
+
+const SCHEMA_VERSION = 1;
+const ROOT_DIR = path.join(__dirname, "..");
+const PERCENTILES = { p50: 50, p75: 75, p90: 90, p99: 99, p999: 99.9 };
+
+const versionCache = new Map();
+
+function libraryVersion(packageName) {
+    if (!versionCache.has(packageName)) {
+        let version = null;
+        try {
+            const manifest = path.join(ROOT_DIR, "node_modules", packageName, "package.json");
+            version = JSON.parse(fs.readFileSync(manifest, "utf8")).version;
+        } catch (error) {
+            // Not installed locally; leave the version unknown
+        }
+        versionCache.set(packageName, version);
+    }
+    return versionCache.get(packageName);
+}
+
+function latencyFromSamples(samplesMs) {
+    const sorted = [...samplesMs].sort((a, b) => a - b);
+    const latency = {
+        mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1]
+    };
+    for (const [key, p] of Object.entries(PERCENTILES)) {
+        latency[key] = percentile(sorted, p);
+    }
+    latency.histogram = histogram(sorted);
+    return latency;
+}
+
+/**
+ * Libraries report failures as Error instances, result objects or plain
+ * arrays (fastest-validator), so fall back to JSON for anything without a
+ * message.
+ */
+function describeError(error) {
+    if (!error) return null;
+    if (typeof error.message === "string") return error.message;
+    return typeof error === "string" ? error : JSON.stringify(error);
+}
+
+function baseRecord(scenario, adapter, runner) {
+    return {
+        scenario: scenario.id,
+        scenarioName: scenario.name,
+        description: scenario.description,
+        library: adapter.name,
+        ...(adapter.schemaOf ? { variantOf: adapter.schemaOf } : {}),
+        ...(scenario.errorMode ? { errorPathOf: scenario.errorPathOf, errorCount: scenario.errorCount, errorMode: scenario.errorMode } : {}),
+        libraryVersion: libraryVersion(adapter.packageName),
+        runner
+    };
+}
+
+/**
+ * Record for a library that did not pass the preflight check.
+ */
+function preflightFailureRecord(scenario, adapter, runner, error) {
+    return {
+        ...baseRecord(scenario, adapter, runner),
+        preflight: "fail",
+        error: describeError(error),
+        opsPerSec: null,
+        rme: null,
+        samples: 0,
+        latency: null
+    };
+}
+
+/**
+ * Record for a tinybench task. tinybench reports latencies in milliseconds.
+ */
+function fromTinybenchTask(scenario, adapter, task) {
+    const result = task.result;
+    return {
+        ...baseRecord(scenario, adapter, "tinybench"),
+        preflight: "pass",
+        opsPerSec: result.hz,
+        rme: result.rme,
+        samples: result.samples.length,
+        latency: latencyFromSamples(result.samples)
+    };
+}
+
+/**
+ * Record for a Benchmark.js benchmark. Benchmark.js samples are the mean
+ * seconds per operation of a whole cycle, which hides the tail, so latency is
+ * taken from `callDurationsMs` (one entry per validation call) when given.
+ */
+function fromBenchmarkJs(scenario, adapter, benchmark, callDurationsMs) {
+    const samplesMs = callDurationsMs && callDurationsMs.length > 0
+        ? callDurationsMs
+        : benchmark.stats.sample.map(seconds => seconds * 1000);
+    return {
+        ...baseRecord(scenario, adapter, "benchmark.js"),
+        preflight: "pass",
+        opsPerSec: benchmark.hz,
+        rme: benchmark.stats.rme,
+        samples: benchmark.stats.sample.length,
+        latency: latencyFromSamples(samplesMs)
+    };
+}
+
+/**
+ * Record for a concurrent load run (see lib/load.js). The margin of error
+ * comes from the spread of throughput across time windows of the run.
+ */
+function fromLoadRun(scenario, adapter, load) {
+    return {
+        ...baseRecord(scenario, adapter, "load"),
+        preflight: "pass",
+        opsPerSec: load.throughput,
+        rme: load.rme,
+        samples: load.completed,
+        latency: latencyFromSamples(load.durations),
+        load: {
+            concurrency: load.concurrency,
+            completed: load.completed,
+            elapsedMs: load.elapsedMs,
+            eventLoopDelay: load.eventLoopDelay
+        }
+    };
+}
+
+/**
+ * Pairs every measured variant in one scenario's `records` with the library
+ * it is a variant of: [{ variant, base, overhead, extraMs }], where
+ * `overhead` is how much slower the base library is (0.1 = 10%) and
+ * `extraMs` what that costs per validation.
+ */
+function compareVariants(records) {
+    const measured = new Map(records.filter(record => record.opsPerSec).map(record => [record.library, record]));
+    return [...measured.values()]
+        .filter(record => record.variantOf && measured.has(record.variantOf))
+        .map(variant => {
+            const base = measured.get(variant.variantOf);
+            return {
+                variant,
+                base,
+                overhead: variant.opsPerSec / base.opsPerSec - 1,
+                extraMs: 1000 / base.opsPerSec - 1000 / variant.opsPerSec
+            };
+        });
+}
+
+function createResultSet(results, options = {}) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        environment: describeEnvironment(),
+        options,
+        results
+    };
+}
+
+/**
+ * Writes a JSON document to `target`, a file path or "-" for stdout.
+ */
+function writeJson(document, target) {
+    const json = JSON.stringify(document, null, 2) + "\n";
+    if (target === "-") {
+        process.stdout.write(json);
+    } else {
+        fs.writeFileSync(target, json);
+    }
+}
+
+function writeResultSet(resultSet, target) {
+    writeJson(resultSet, target);
+}
+
+function readResultSet(file) {
+    const resultSet = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(resultSet.results)) {
+        throw new Error(`${file} is not a benchmark result set`);
+    }
+    return resultSet;
+}
+
+module.exports = {
+    libraryVersion,
+    describeError,
+    preflightFailureRecord,
+    fromTinybenchTask,
+    fromBenchmarkJs,
+    fromLoadRun,
+    compareVariants,
+    createResultSet,
+    writeJson,
+    writeResultSet,
+    readResultSet
+};
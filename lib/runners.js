@@ -0,0 +1,455 @@
+/**
+ * Scenario Runners
+ *
+ * Shared execution for every suite:
+ * - runSyncScenario:  tinybench, for synchronous scenarios
+ * - runAsyncScenario: Benchmark.js deferred tasks, for async scenarios
+ * - runLoadScenario:  concurrent validations, for async scenarios in load mode
+ *
+ * A scenario is { id, name, description, data, schemas, expectFailure?,
+ * errorMode? } where `schemas` maps library names to schema definitions
+ * understood by that library's adapter (suites build it from
+ * `schemaBuilders`, see lib/schemas.js) and `errorMode` limits the scenario to
+ * the libraries supporting that mode (see lib/error-paths.js).
+ *
+ * Both runners preflight every library against the data, benchmark the
+ * libraries, print the ranking and resolve to result records (see
+ * lib/results.js), fastest first.
+ *
+ * The sync runner skips libraries whose preflight does not match the expected
+ * outcome; the async runner still benchmarks them and flags the record.
+ *
+ * Options (all optional):
+ * - libraries:  library names to run (default: every library with a schema)
+ * - time:       time budget per task in milliseconds
+ * - iterations: minimum iterations (tinybench) / samples (Benchmark.js) per task
+ * - warmup:     warmup iterations per task, 0 disables warmup
+ * - memory:     after timing, measure allocations, retained heap and GC
+ *               activity per library (see lib/memory.js)
+ * - memoryIterations: validations per library for the memory measurement
+ * - histogram:  print a latency histogram per library after the percentiles
+ * - load:       run async scenarios with runLoadScenario (see lib/load.js);
+ *               `time` is then the duration per library
+ * - concurrency: validations in flight in load mode
+ * - requests:   in load mode, stop after this many validations instead of
+ *               after the duration
+ * - faults:     fault rules (see lib/faults.js) injected into the services of
+ *               async scenarios while they are timed, after the preflight
+ *
+ * When node runs with --expose-gc, the heap is collected before each library.
+ */
+
+const { performance } = require("perf_hooks");
+const { Bench } = require("tinybench");
+const Benchmark = require("benchmark");
+const { getAdapter, listAdapters, schemaFor, validateSync, validateAsync } = require("../adapters");
+const { describeError, preflightFailureRecord, fromTinybenchTask, fromBenchmarkJs, fromLoadRun, compareVariants } = require("./results");
+const { isGcExposed, collectGarbage, measureMemory } = require("./memory");
+const { runLoad, DEFAULT_CONCURRENCY, DEFAULT_DURATION } = require("./load");
+const { formatOps, formatBytes, formatDuration, formatPercent, medal } = require("./format");
+const { startFaultRun } = require("./faults");
+
+const DEFAULT_SYNC_TIME = 2000;
+const DEFAULT_MEMORY_ITERATIONS = { sync: 1000, async: 10 };
+const HISTOGRAM_WIDTH = 40;
+
+/**
+ * Libraries with a schema for the scenario that support its error mode, if it
+ * has one (see lib/error-paths.js).
+ */
+function selectLibraries(scenario, libraries) {
+    const adapters = libraries ? libraries.map(getAdapter) : listAdapters();
+    return adapters.filter(adapter => schemaFor(scenario.schemas, adapter)
+        && (!scenario.errorMode || adapter.errorModes.includes(scenario.errorMode)));
+}
+
+function compileFor(scenario, adapter) {
+    return adapter.compile(schemaFor(scenario.schemas, adapter), { errorMode: scenario.errorMode });
+}
+
+function printLatency(records, options) {
+    console.log("\n⏱️  Latency per validation:");
+    console.log(`   ${"".padEnd(18)}  ${["p50", "p90", "p99", "p99.9", "max"].map(label => label.padStart(10)).join(" ")}`);
+    for (const record of records) {
+        const { p50, p90, p99, p999, max } = record.latency;
+        console.log(`   ${record.library.padEnd(18)}: ${[p50, p90, p99, p999, max].map(ms => formatDuration(ms).padStart(10)).join(" ")}`);
+    }
+
+    if (!options.histogram) return;
+    for (const record of records) {
+        const buckets = record.latency.histogram;
+        const peak = Math.max(...buckets.map(bucket => bucket.count));
+        console.log(`\n   📊 ${record.library}`);
+        for (const bucket of buckets) {
+            const bar = "█".repeat(Math.round(bucket.count / peak * HISTOGRAM_WIDTH));
+            console.log(`   ≤ ${formatDuration(bucket.to).padStart(10)} │${bar} ${bucket.count}`);
+        }
+    }
+}
+
+/**
+ * Prints what the libraries that have a variant in the run (see `schemaOf`
+ * in adapters/index.js) lose against it, e.g. validant creating a validator
+ * per call against validant-shared reusing one.
+ */
+function printVariants(records) {
+    for (const { variant, base, overhead, extraMs } of compareVariants(records)) {
+        const noise = Math.abs(overhead) * 100 <= variant.rme + base.rme ? ", within the margins of error" : "";
+        console.log(`♻️  ${base.library} vs ${variant.library}: ${base.library} is ${formatPercent(Math.abs(overhead))} ${overhead >= 0 ? "slower" : "faster"} (${formatDuration(Math.abs(extraMs))} per validation${noise})`);
+    }
+}
+
+async function measureLibraries(libraries, scenario, options, isAsync) {
+    const iterations = options.memoryIterations ?? DEFAULT_MEMORY_ITERATIONS[isAsync ? "async" : "sync"];
+    const measurements = new Map();
+
+    console.log(`\n🧠 Memory (${iterations} validations per library):`);
+    for (const { adapter, compiled } of libraries) {
+        const run = isAsync
+            ? () => validateAsync(adapter, compiled, scenario.data)
+            : () => validateSync(adapter, compiled, scenario.data);
+        const memory = await measureMemory(run, { iterations, isAsync, chunkSize: isAsync ? 1 : 50 });
+        measurements.set(adapter.name, memory);
+
+        console.log(`   ${adapter.name.padEnd(18)}: ${formatBytes(memory.allocatedBytesPerOp).padStart(9)} allocated/op | retained ${formatBytes(memory.retainedBytes).padStart(9)} | ${memory.gcCount} GCs (${memory.gcPauseMs.toFixed(2)} ms)`);
+    }
+    if (!isGcExposed()) {
+        console.log("   ℹ️  Run node with --expose-gc to collect garbage between libraries");
+    }
+
+    return measurements;
+}
+
+function attachMemory(records, measurements) {
+    for (const record of records) {
+        if (measurements.has(record.library)) record.memory = measurements.get(record.library);
+    }
+    return records;
+}
+
+async function runSyncScenario(scenario, options = {}) {
+    console.log(`\n🎯 ${scenario.name}`);
+    console.log(`${scenario.description}`);
+    console.log("─".repeat(60));
+
+    const benchOptions = { time: options.time ?? DEFAULT_SYNC_TIME };
+    if (options.iterations !== undefined) benchOptions.iterations = options.iterations;
+    if (options.warmup !== undefined) {
+        benchOptions.warmup = options.warmup > 0;
+        benchOptions.warmupIterations = options.warmup;
+    }
+    const bench = new Bench(benchOptions);
+
+    console.log("Testing library compatibility...");
+    const workingLibraries = [];
+    const failedRecords = [];
+
+    for (const adapter of selectLibraries(scenario, options.libraries)) {
+        try {
+            const compiled = compileFor(scenario, adapter);
+            const result = validateSync(adapter, compiled, scenario.data);
+            if (!scenario.expectFailure && result.valid) {
+                workingLibraries.push({ adapter, compiled });
+                console.log(`✅ ${adapter.name} - validation passed`);
+            } else if (scenario.expectFailure && !result.valid) {
+                workingLibraries.push({ adapter, compiled });
+                console.log(`✅ ${adapter.name} - validation failed as expected`);
+            } else if (scenario.expectFailure) {
+                failedRecords.push(preflightFailureRecord(scenario, adapter, "tinybench", new Error("Validation passed unexpectedly")));
+                console.log(`❌ ${adapter.name} - should have failed but passed`);
+            } else {
+                failedRecords.push(preflightFailureRecord(scenario, adapter, "tinybench", result.error));
+                console.log(`❌ ${adapter.name} - validation failed`);
+            }
+        } catch (error) {
+            failedRecords.push(preflightFailureRecord(scenario, adapter, "tinybench", error));
+            console.log(`❌ ${adapter.name} - error: ${error.message}`);
+        }
+    }
+
+    if (workingLibraries.length === 0) {
+        console.log("❌ No working libraries found");
+        return failedRecords;
+    }
+
+    workingLibraries.forEach(({ adapter, compiled }) => {
+        bench.add(adapter.name, () => {
+            validateSync(adapter, compiled, scenario.data);
+        }, {
+            beforeAll: collectGarbage
+        });
+    });
+
+    await bench.run();
+
+    console.log("\n📊 Performance Results:");
+    const tasks = [...bench.tasks].sort((a, b) => b.result.hz - a.result.hz);
+    tasks.forEach((task, index) => {
+        const opsPerSec = Math.round(task.result.hz).toLocaleString();
+        const rme = task.result.rme.toFixed(2);
+        console.log(`${medal(index)} ${task.name.padEnd(18)}: ${opsPerSec.padStart(12)} ops/sec ±${rme}%`);
+    });
+
+    if (tasks.length > 1) {
+        const fastest = tasks[0];
+        const slowest = tasks[tasks.length - 1];
+        const speedDifference = (fastest.result.hz / slowest.result.hz).toFixed(1);
+        console.log(`\n🏆 Winner: ${fastest.name} (${speedDifference}x faster than slowest)`);
+    }
+
+    const adapters = new Map(workingLibraries.map(({ adapter }) => [adapter.name, adapter]));
+    const records = tasks.map(task => fromTinybenchTask(scenario, adapters.get(task.name), task));
+    printVariants(records);
+    printLatency(records, options);
+
+    if (options.memory) {
+        attachMemory(records, await measureLibraries(workingLibraries, scenario, options, false));
+    }
+
+    return [...records, ...failedRecords];
+}
+
+/**
+ * Compiles and validates once with every library, then runs the warmup.
+ * Libraries whose outcome does not match the scenario stay in the run and
+ * are listed in `preflightErrors`; libraries that throw are left out.
+ */
+async function preflightAsync(scenario, options, runner) {
+    console.log("\n🧪 Testing validation functions...");
+    const libraries = [];
+    const failedRecords = [];
+    const preflightErrors = new Map();
+
+    for (const adapter of selectLibraries(scenario, options.libraries)) {
+        try {
+            const compiled = compileFor(scenario, adapter);
+            const result = await validateAsync(adapter, compiled, scenario.data);
+            const outcome = result.valid ? "PASS" : scenario.expectFailure ? "FAIL (expected for this test data)" : "FAIL";
+            if (result.valid === Boolean(scenario.expectFailure)) {
+                preflightErrors.set(adapter.name, result.error || new Error("Validation passed unexpectedly"));
+            }
+            libraries.push({ adapter, compiled });
+            console.log(`   ✅ ${adapter.name}: ${outcome}`);
+        } catch (error) {
+            failedRecords.push(preflightFailureRecord(scenario, adapter, runner, error));
+            console.log(`   ❌ ${adapter.name}: ERROR - ${error.message}`);
+        }
+    }
+
+    if (options.warmup && libraries.length > 0) {
+        console.log(`\n🔥 Warming up (${options.warmup} iterations per library)...`);
+        for (const { adapter, compiled } of libraries) {
+            for (let i = 0; i < options.warmup; i++) {
+                await validateAsync(adapter, compiled, scenario.data);
+            }
+        }
+    }
+
+    return { libraries, failedRecords, preflightErrors };
+}
+
+function flagPreflightErrors(records, preflightErrors) {
+    for (const record of records) {
+        if (preflightErrors.has(record.library)) {
+            record.preflight = "fail";
+            record.error = describeError(preflightErrors.get(record.library));
+        }
+    }
+    return records;
+}
+
+/**
+ * Starts injecting `options.faults` into the scenario's services, or returns
+ * null when there is nothing to inject.
+ */
+function startFaults(scenario, options) {
+    if (!options.faults || !scenario.services) return null;
+    return startFaultRun(scenario.services, options.faults);
+}
+
+/**
+ * Removes the injected faults, prints what each library went through and
+ * attaches those counts to its record.
+ */
+async function finishFaults(faultRun, records) {
+    if (!faultRun) return;
+    await faultRun.close();
+
+    console.log("\n💥 Injected faults:");
+    for (const record of records) {
+        const stats = faultRun.stats[record.library];
+        if (!stats) continue;
+        record.faults = stats;
+        console.log(`   ${record.library.padEnd(18)}: ${String(stats.injected).padStart(6)} injected | ${String(stats.failed).padStart(6)} unexpected outcomes | ${stats.unhandled} unhandled rejections`);
+    }
+}
+
+async function runAsyncScenario(scenario, options = {}) {
+    console.log(`\n📊 ${scenario.name}`);
+    console.log(`📝 ${scenario.description}`);
+    console.log("-".repeat(80));
+
+    const { libraries, failedRecords, preflightErrors } = await preflightAsync(scenario, options, "benchmark.js");
+    if (libraries.length === 0) {
+        console.log("❌ No working libraries found");
+        return failedRecords;
+    }
+
+    console.log("\n⏱️  Running benchmarks...\n");
+
+    // Create benchmark suite
+    const suite = new Benchmark.Suite();
+    const taskOptions = {};
+    if (options.time !== undefined) taskOptions.maxTime = options.time / 1000;
+    if (options.iterations !== undefined) taskOptions.minSamples = options.iterations;
+
+    // Add async benchmark tests; every call is timed on its own so the
+    // latency percentiles see the tail that cycle means average away
+    const callDurations = new Map();
+    const faultRun = startFaults(scenario, options);
+    for (const { adapter, compiled } of libraries) {
+        const durations = [];
+        callDurations.set(adapter.name, durations);
+        suite.add(adapter.name, {
+            ...taskOptions,
+            onStart: () => {
+                collectGarbage();
+                faultRun?.begin(adapter.name);
+            },
+            onComplete: () => faultRun?.end(adapter.name),
+            defer: true,
+            fn: async function (deferred) {
+                try {
+                    const start = performance.now();
+                    const result = await validateAsync(adapter, compiled, scenario.data);
+                    durations.push(performance.now() - start);
+                    faultRun?.count(adapter.name, result, scenario);
+                    deferred.resolve();
+                } catch (error) {
+                    deferred.resolve();
+                }
+            }
+        });
+    }
+
+    // Run the benchmark
+    const nameWidth = Math.max(...libraries.map(({ adapter }) => adapter.name.length));
+    const benchmarks = await new Promise((resolve) => {
+        suite
+            .on("cycle", function (event) {
+                const benchmark = event.target;
+                const opsPerSec = benchmark.hz;
+                const rme = benchmark.stats.rme;
+                const samples = benchmark.stats.sample.length;
+
+                console.log(`${benchmark.name.padEnd(nameWidth)} | ${opsPerSec.toLocaleString("en-US", {
+                    minimumFractionDigits: 0,
+                    maximumFractionDigits: 0
+                }).padStart(8)} ops/sec | ±${rme.toFixed(2)}% | ${samples} samples`);
+            })
+            .on("complete", function () {
+                const benchmarks = this.map(benchmark => benchmark).sort((a, b) => b.hz - a.hz);
+                if (benchmarks.length > 1) {
+                    const fastest = this.filter("fastest")[0];
+                    const slowest = this.filter("slowest")[0];
+                    const speedup = (fastest.hz / slowest.hz).toFixed(1);
+
+                    console.log(`\n🏆 Winner: ${fastest.name} (${speedup}x faster than slowest)`);
+                }
+                resolve(benchmarks);
+            })
+            .run({ async: true });
+    });
+
+    const adapters = new Map(libraries.map(({ adapter }) => [adapter.name, adapter]));
+    const records = flagPreflightErrors(
+        benchmarks.map(benchmark => fromBenchmarkJs(scenario, adapters.get(benchmark.name), benchmark, callDurations.get(benchmark.name))),
+        preflightErrors
+    );
+    printVariants(records);
+    await finishFaults(faultRun, records);
+    printLatency(records, options);
+
+    if (options.memory) {
+        attachMemory(records, await measureLibraries(libraries, scenario, options, true));
+    }
+
+    return [...records, ...failedRecords];
+}
+
+async function runLoadScenario(scenario, options = {}) {
+    const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+    const duration = options.time ?? DEFAULT_DURATION;
+    const limit = options.requests !== undefined ? `${options.requests} requests` : `${duration}ms`;
+
+    console.log(`\n🚦 ${scenario.name} (load)`);
+    console.log(`📝 ${scenario.description}`);
+    console.log("-".repeat(80));
+
+    const { libraries, failedRecords, preflightErrors } = await preflightAsync(scenario, options, "load");
+    if (libraries.length === 0) {
+        console.log("❌ No working libraries found");
+        return failedRecords;
+    }
+
+    console.log(`\n⏱️  ${concurrency} concurrent validations per library for ${limit}...\n`);
+    console.log(`   ${"".padEnd(18)}  ${"req/sec".padStart(10)} ${"±".padStart(7)} ${"p50".padStart(10)} ${"p99".padStart(10)}   ${"loop delay p99".padStart(14)} ${"max".padStart(10)}`);
+
+    const records = [];
+    const faultRun = startFaults(scenario, options);
+    for (const { adapter, compiled } of libraries) {
+        collectGarbage();
+        faultRun?.begin(adapter.name);
+        const load = await runLoad(async () => {
+            const result = await validateAsync(adapter, compiled, scenario.data);
+            faultRun?.count(adapter.name, result, scenario);
+        }, {
+            concurrency,
+            duration,
+            requests: options.requests
+        });
+        faultRun?.end(adapter.name);
+        const record = fromLoadRun(scenario, adapter, load);
+        records.push(record);
+
+        const { p50, p99 } = record.latency;
+        const { p99: loopP99, max: loopMax } = load.eventLoopDelay;
+        console.log(`   ${adapter.name.padEnd(18)}: ${formatOps(load.throughput).padStart(10)} ${`${load.rme.toFixed(1)}%`.padStart(7)} ${formatDuration(p50).padStart(10)} ${formatDuration(p99).padStart(10)}   ${formatDuration(loopP99).padStart(14)} ${formatDuration(loopMax).padStart(10)}`);
+    }
+
+    records.sort((a, b) => b.opsPerSec - a.opsPerSec);
+    if (records.length > 1) {
+        const speedup = (records[0].opsPerSec / records[records.length - 1].opsPerSec).toFixed(1);
+        console.log(`\n🏆 Winner: ${records[0].library} (${speedup}x the throughput of the slowest)`);
+    }
+    // Runs whose monitor took no samples have no delay to rank
+    const sampled = records.filter(record => record.load.eventLoopDelay.p99 !== null);
+    if (sampled.length > 0) {
+        const steadiest = sampled.sort((a, b) => a.load.eventLoopDelay.p99 - b.load.eventLoopDelay.p99)[0];
+        console.log(`🫀 Most responsive event loop: ${steadiest.library} (p99 delay ${formatDuration(steadiest.load.eventLoopDelay.p99)})`);
+    }
+    printVariants(records);
+
+    await finishFaults(faultRun, records);
+    printLatency(records, options);
+    return [...flagPreflightErrors(records, preflightErrors), ...failedRecords];
+}
+
+/**
+ * Runs a scenario with the runner matching its suite's mode and tags the
+ * resulting records with the suite they belong to.
+ */
+async function runScenario(suite, scenario, options = {}) {
+    const asyncRunner = options.load ? runLoadScenario : runAsyncScenario;
+    const run = suite.mode === "async" ? asyncRunner : runSyncScenario;
+    const records = await run(scenario, options);
+    return records.map(record => ({ suite: suite.id, suiteName: suite.name, ...record }));
+}
+
+module.exports = {
+    selectLibraries,
+    runSyncScenario,
+    runAsyncScenario,
+    runLoadScenario,
+    runScenario
+};
@@ -0,0 +1,102 @@
+/**
+ * Scaling
+ *
+ * The bulk scenarios validate a fixed number of items, but batch jobs
+ * validate tens of thousands, and the cost per item need not stay flat.
+ * Scenarios that can generate their data at any size declare
+ *
+ *   scaleData: (count) => data
+ *
+ * scaledScenario() turns such a scenario into one of `count` items, and
+ * fitGrowth() fits the time per validation to t(n) = c · n^k by least squares
+ * on log-log scale: k ≈ 1 is linear, below it the fixed cost per call still
+ * dominates, above it every item costs more than the one before.
+ */
+
+const { withScenarioSchemas } = require("./schemas");
+
+const DEFAULT_SIZES = [10, 100, 1000, 10000, 100000];
+const SUFFIXES = { k: 1e3, m: 1e6 };
+
+/**
+ * Parses "10,100,1k,10k" into [10, 100, 1000, 10000], sorted and deduplicated.
+ */
+function parseSizes(spec) {
+    const sizes = spec.split(",").map(part => part.trim().toLowerCase()).filter(Boolean).map(part => {
+        const match = /^(\d+(?:\.\d+)?)([km]?)$/.exec(part);
+        const size = match ? Number(match[1]) * (SUFFIXES[match[2]] || 1) : NaN;
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid size "${part}": expected a positive integer, optionally with a k or m suffix`);
+        }
+        return size;
+    });
+    return [...new Set(sizes)].sort((a, b) => a - b);
+}
+
+/**
+ * 1000 -> "1k", 100000 -> "100k", 1500 -> "1500".
+ */
+function formatSize(size) {
+    if (size >= 1e6 && size % 1e6 === 0) return `${size / 1e6}m`;
+    if (size >= 1e3 && size % 1e3 === 0) return `${size / 1e3}k`;
+    return String(size);
+}
+
+function scaledScenario(scenario, size) {
+    return withScenarioSchemas({
+        id: `${scenario.id}@${formatSize(size)}`,
+        name: `${scenario.name} (${formatSize(size)} items)`,
+        description: `${scenario.name} with ${size.toLocaleString()} items`,
+        data: scenario.scaleData(size),
+        schemaBuilders: scenario.schemaBuilders,
+        services: scenario.services,
+        expectFailure: scenario.expectFailure,
+        scaleOf: scenario.id,
+        size
+    });
+}
+
+function describeExponent(exponent) {
+    if (exponent < 0.9) return "sublinear";
+    if (exponent <= 1.1) return "linear";
+    return "superlinear";
+}
+
+/**
+ * Fits points [{ size, ms }] (ms per validation) to ms = coefficient · size^exponent.
+ * Returns { coefficient, exponent, r2, growth } or null with fewer than two points.
+ */
+function fitGrowth(points) {
+    if (points.length < 2) return null;
+
+    const xs = points.map(point => Math.log(point.size));
+    const ys = points.map(point => Math.log(point.ms));
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < xs.length; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    const exponent = covariance / varianceX;
+    return {
+        coefficient: Math.exp(meanY - exponent * meanX),
+        exponent,
+        r2: varianceY === 0 ? 1 : (covariance * covariance) / (varianceX * varianceY),
+        // Judged as printed, so 1.098 shows as 1.10 and reads linear
+        growth: describeExponent(Math.round(exponent * 100) / 100)
+    };
+}
+
+module.exports = {
+    DEFAULT_SIZES,
+    parseSizes,
+    formatSize,
+    scaledScenario,
+    fitGrowth
+};
@@ -0,0 +1,40 @@
+/**
+ * Schema Builders
+ *
+ * Scenarios declare `schemaBuilders`: one function per library that
+ * constructs its schema. withSchemas() gives every scenario of a suite the
+ * `schemas` map the runners use, built from those functions the first time it
+ * is read. A process that never reads it, like the cold-start probe
+ * (lib/cold-start.js), gets to time the very first construction itself.
+ */
+
+function buildSchemas(builders) {
+    return Object.fromEntries(Object.entries(builders).map(([library, build]) => [library, build()]));
+}
+
+/**
+ * Gives `scenario` a `schemas` map built from its `schemaBuilders` the first
+ * time it is read, and returns the scenario.
+ */
+function withScenarioSchemas(scenario) {
+    let schemas;
+    Object.defineProperty(scenario, "schemas", {
+        enumerable: true,
+        get() {
+            schemas ??= buildSchemas(scenario.schemaBuilders);
+            return schemas;
+        }
+    });
+    return scenario;
+}
+
+function withSchemas(suite) {
+    suite.scenarios.forEach(withScenarioSchemas);
+    return suite;
+}
+
+module.exports = {
+    buildSchemas,
+    withScenarioSchemas,
+    withSchemas
+};
@@ -0,0 +1,66 @@
+/**
+ * Mock Service Instrumentation
+ *
+ * The async suites expose the object their schemas call through as
+ * `scenario.services`. instrumentServices() swaps every method of that object
+ * for a wrapper that counts calls and records when each call started and
+ * settled, which is what the parity check (lib/parity.js) and the call
+ * timeline (lib/timeline.js) are built on.
+ */
+
+const { performance } = require("perf_hooks");
+
+/**
+ * Replaces every method of `services` with a recording wrapper. `calls` holds
+ * the count per method and `timeline` one { service, start, end } entry per
+ * call, in milliseconds since the last reset(). Call `restore()` to put the
+ * original methods back.
+ */
+function instrumentServices(services) {
+    const calls = {};
+    const timeline = [];
+    const originals = {};
+    let origin = performance.now();
+
+    for (const [name, method] of Object.entries(services)) {
+        if (typeof method !== "function") continue;
+        originals[name] = method;
+        calls[name] = 0;
+        services[name] = function (...args) {
+            calls[name] += 1;
+            const entry = { service: name, start: performance.now() - origin, end: null };
+            timeline.push(entry);
+
+            const settle = () => {
+                entry.end = performance.now() - origin;
+            };
+            return Promise.resolve(method.apply(this, args)).then(
+                value => {
+                    settle();
+                    return value;
+                },
+                error => {
+                    settle();
+                    throw error;
+                }
+            );
+        };
+    }
+
+    return {
+        calls,
+        timeline,
+        reset() {
+            for (const name of Object.keys(calls)) calls[name] = 0;
+            timeline.length = 0;
+            origin = performance.now();
+        },
+        restore() {
+            Object.assign(services, originals);
+        }
+    };
+}
+
+module.exports = {
+    instrumentServices
+};
@@ -0,0 +1,56 @@
+/**
+ * Statistics helpers shared by the result collectors and reports.
+ */
+
+/**
+ * Percentile of an ascending-sorted array using linear interpolation
+ * between closest ranks. `p` is in the 0-100 range.
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return undefined;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function mean(values) {
+    return values.length === 0 ? undefined : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Buckets an ascending-sorted array into `bucketCount` bins between its min
+ * and max. Bins are log-spaced so a long tail does not squash the body of the
+ * distribution into the first bin; they fall back to linear spacing when the
+ * values include zero.
+ */
+function histogram(sorted, bucketCount = 12) {
+    if (sorted.length === 0) return [];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (max === min) return [{ from: min, to: max, count: sorted.length }];
+
+    const logScale = min > 0;
+    const edge = logScale
+        ? index => min * Math.pow(max / min, index / bucketCount)
+        : index => min + (max - min) * index / bucketCount;
+
+    const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+        from: edge(index),
+        to: index === bucketCount - 1 ? max : edge(index + 1),
+        count: 0
+    }));
+
+    let bucket = 0;
+    for (const value of sorted) {
+        while (bucket < bucketCount - 1 && value > buckets[bucket].to) bucket++;
+        buckets[bucket].count++;
+    }
+    return buckets;
+}
+
+module.exports = {
+    percentile,
+    mean,
+    histogram
+};
@@ -0,0 +1,53 @@
+/**
+ * Suite Discovery
+ *
+ * Every `*-benchmark.js` / `benchmark-*.js` file in the repository root that
+ * exports a `suite` ({ id, name, mode, scenarios }) is picked up automatically.
+ * `mode` is "sync" (tinybench) or "async" (Benchmark.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const SUITE_FILE = /(^|-)benchmark(-[\w-]+)?\.js$/;
+
+function discoverSuites(dir = ROOT_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => SUITE_FILE.test(file))
+        .sort()
+        .map(file => {
+            const { suite } = require(path.join(dir, file));
+            return suite ? { ...suite, file } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * A pattern matches a scenario by exact id or by case-insensitive substring
+ * of its name, so both `bulk-data` and "Bulk Data Processing" work.
+ */
+function matchesScenario(scenario, pattern) {
+    const needle = pattern.toLowerCase();
+    return scenario.id === needle || scenario.errorPathOf === needle || scenario.name.toLowerCase().includes(needle);
+}
+
+/**
+ * Returns the suites narrowed down to scenarios matching any of the patterns.
+ * Suites left without scenarios are dropped.
+ */
+function filterSuites(suites, patterns) {
+    if (!patterns || patterns.length === 0) return suites;
+
+    return suites
+        .map(suite => ({
+            ...suite,
+            scenarios: suite.scenarios.filter(scenario => patterns.some(pattern => matchesScenario(scenario, pattern)))
+        }))
+        .filter(suite => suite.scenarios.length > 0);
+}
+
+module.exports = {
+    discoverSuites,
+    filterSuites
+};
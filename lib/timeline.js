@@ -0,0 +1,76 @@
+/**
+ * Async Call Timeline
+ *
+ * Validates a scenario once per library with its mock services instrumented
+ * (see lib/services.js) and records when every service call started and
+ * settled. From the timeline:
+ *
+ * - parallelism: total time spent in service calls divided by the wall time
+ *                of the validation; 1.0 means the calls ran one after another,
+ *                N means N calls were in flight on average
+ * - peak:        the most calls in flight at the same moment
+ */
+
+const { performance } = require("perf_hooks");
+const { getAdapter, listAdapters, schemaFor, validateAsync } = require("../adapters");
+const { instrumentServices } = require("./services");
+
+function peakConcurrency(calls) {
+    const events = calls.flatMap(call => [[call.start, 1], [call.end, -1]])
+        // Settle before starting at the same instant so back-to-back calls do not overlap
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let inFlight = 0;
+    let peak = 0;
+    for (const [, change] of events) {
+        inFlight += change;
+        peak = Math.max(peak, inFlight);
+    }
+    return peak;
+}
+
+/**
+ * Resolves to one trace per library:
+ *   { library, valid, wallMs, serviceMs, parallelism, peak, calls: [{ service, start, end }] }
+ */
+async function traceScenario(scenario, { libraries } = {}) {
+    if (!scenario.services) {
+        throw new Error(`Scenario ${scenario.id} does not expose its services`);
+    }
+
+    const adapters = (libraries ? libraries.map(getAdapter) : listAdapters())
+        .filter(adapter => schemaFor(scenario.schemas, adapter));
+    const instrumented = instrumentServices(scenario.services);
+    const traces = [];
+
+    try {
+        for (const adapter of adapters) {
+            const compiled = adapter.compile(schemaFor(scenario.schemas, adapter));
+            instrumented.reset();
+
+            const start = performance.now();
+            const result = await validateAsync(adapter, compiled, scenario.data);
+            const wallMs = performance.now() - start;
+
+            // Calls still running when the validation settled count up to that moment
+            const calls = instrumented.timeline.map(call => ({ ...call }));
+            const serviceMs = calls.reduce((sum, call) => sum + ((call.end ?? wallMs) - call.start), 0);
+            traces.push({
+                library: adapter.name,
+                valid: result.valid,
+                wallMs,
+                serviceMs,
+                parallelism: wallMs > 0 ? serviceMs / wallMs : 0,
+                peak: peakConcurrency(calls.map(call => ({ ...call, end: call.end ?? wallMs }))),
+                calls
+            });
+        }
+    } finally {
+        instrumented.restore();
+    }
+
+    return traces;
+}
+
+module.exports = {
+    traceScenario
+};
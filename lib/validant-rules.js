@@ -0,0 +1,42 @@
+/**
+ * validant Rules
+ *
+ * Rules the other libraries have built in but validant lacks, shared by the
+ * suites so every library does the same validation work.
+ */
+
+// validant has no integer rule; this mirrors int()/integer() of the other libraries
+function wholeNumber(errorMessage) {
+    return (value) => {
+        if (!Number.isInteger(value)) {
+            return {
+                ruleName: "wholeNumber",
+                attemptedValue: value,
+                errorMessage: errorMessage ?? "Must be an integer."
+            };
+        }
+    };
+}
+
+/**
+ * validant's string length rules throw on a missing value instead of failing,
+ * which stops the whole validation. Guarded rules skip a missing value and
+ * leave it to required().
+ */
+function whenPresent(...rules) {
+    return rules.map(rule => (value, root) => (value === undefined || value === null ? undefined : rule(value, root)));
+}
+
+/**
+ * Like whenPresent, for values that are not strings at all: the length rules
+ * skip them and leave them to isString().
+ */
+function whenString(...rules) {
+    return rules.map(rule => (value, root) => (typeof value !== "string" ? undefined : rule(value, root)));
+}
+
+module.exports = {
+    wholeNumber,
+    whenPresent,
+    whenString
+};
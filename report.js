@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Report Generator
+ *
+ * Renders a results file written by `node bench.js --json <file>` into the
+ * markdown benchmark report, or into a self-contained HTML page with charts
+ * (see lib/report-html.js).
+ *
+ * Usage:
+ *   node report.js <results.json> [--output BENCHMARK_RESULTS.md]
+ *
+ * Examples:
+ *   node report.js results.json --baseline baseline.json -o BENCHMARK_RESULTS.md
+ *   node report.js results.json -o report.html
+ *   node report.js results.json -o report.html --baseline baseline.json --scaling scaling.json
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const path = require("path");
+const { readResultSet } = require("./lib/results");
+const { renderMarkdownReport } = require("./lib/report-markdown");
+const { renderHtmlReport } = require("./lib/report-html");
+const { compareResultSets } = require("./lib/compare");
+const { compareEnvironments } = require("./lib/environment");
+
+const USAGE = `Usage: node report.js <results.json> [options]
+
+Options:
+  -o, --output <file>   Write the report to a file instead of stdout
+      --format <name>   markdown or html (default: html for an .html output, markdown otherwise)
+      --title <text>    Report title
+      --baseline <file> Add a run-to-run comparison against this results file
+      --scaling <file>  HTML only: add the curves of a \`node scaling.js --json\` file
+  -h, --help            Show this help`;
+
+const FORMATS = ["markdown", "html"];
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: "string", short: "o" },
+            format: { type: "string" },
+            title: { type: "string" },
+            baseline: { type: "string" },
+            scaling: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 1) {
+        throw new Error("Expected exactly one results file");
+    }
+
+    const format = values.format ?? (values.output && path.extname(values.output) === ".html" ? "html" : "markdown");
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format: ${format} (available: ${FORMATS.join(", ")})`);
+    }
+    if (format !== "html" && values.scaling) {
+        throw new Error("--scaling needs the html format");
+    }
+
+    const resultSet = readResultSet(positionals[0]);
+    const baseline = values.baseline ? readResultSet(values.baseline) : undefined;
+    const comparisons = baseline ? compareResultSets(baseline, resultSet) : undefined;
+    const report = format === "html"
+        ? renderHtmlReport(resultSet, {
+            title: values.title,
+            comparisons,
+            environmentDifferences: baseline ? compareEnvironments(baseline.environment, resultSet.environment) : undefined,
+            scaling: values.scaling ? readJson(values.scaling) : undefined
+        })
+        : renderMarkdownReport(resultSet, { title: values.title, comparisons });
+
+    if (values.output) {
+        fs.writeFileSync(values.output, report);
+        console.log(`📝 Report written to ${values.output}`);
+    } else {
+        process.stdout.write(report);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(`\n${USAGE}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { main };
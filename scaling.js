@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Scaling Curves
+ *
+ * Runs every scenario that can resize its data (the bulk scenarios) at a
+ * series of sizes, from 10 to 100,000 items by default, and reports ops/sec
+ * and time per item for each library, plus the growth curve fitted to them
+ * (see lib/scaling.js).
+ *
+ * Usage:
+ *   node scaling.js [options]
+ *
+ * Examples:
+ *   node scaling.js -s bulk-data
+ *   node scaling.js -l zod,validant --sizes 100,1k,10k --time 500
+ *   node --max-old-space-size=4096 scaling.js --sizes 1k,10k,100k,1m -s bulk-data
+ *   node scaling.js --json scaling.json
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { runScenario } = require("./lib/runners");
+const { DEFAULT_SIZES, parseSizes, formatSize, scaledScenario, fitGrowth } = require("./lib/scaling");
+const { writeJson } = require("./lib/results");
+const { DEFAULT_SEED, setSeed } = require("./lib/random");
+const { PROFILES, setLatencyProfile } = require("./lib/latency");
+const { describeEnvironment, summarizeEnvironment } = require("./lib/environment");
+const { formatOps, formatDuration } = require("./lib/format");
+const { splitList, parseInteger, progressLogger } = require("./lib/cli");
+
+const DEFAULT_TIME = 1000;
+const DEFAULT_ITERATIONS = 10;
+
+const USAGE = `Usage: node scaling.js [options]
+
+Options:
+  -l, --library <names>    Libraries to run, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name fragments, comma separated or repeated
+                           (default: every scenario that can resize its data)
+      --sizes <list>       Item counts, comma separated, k and m suffixes allowed
+                           (default: ${DEFAULT_SIZES.map(formatSize).join(",")})
+      --time <ms>          Time budget per library and size (default: ${DEFAULT_TIME})
+      --iterations <n>     Minimum iterations (sync) / samples (async) per library and size (default: ${DEFAULT_ITERATIONS})
+      --latency <profile>  Mock service latency profile for async scenarios (default: zero)
+      --seed <n>           Seed for generated test data (default: ${DEFAULT_SEED})
+      --json <file|->      Write the curves as JSON to a file, or "-" for stdout
+  -h, --help               Show this help`;
+
+function formatGrowth(fit) {
+    if (!fit) return "—";
+    return `${formatDuration(fit.coefficient)} · n^${fit.exponent.toFixed(2)} ${fit.growth} (R² ${fit.r2.toFixed(3)})`;
+}
+
+function printCurves(scenario, sizes, curves, log) {
+    const header = sizes.map(size => formatSize(size).padStart(12)).join("");
+
+    log(`\n📈 Scaling: ${scenario.name}`);
+    log("─".repeat(80));
+    log(`   ops/sec             ${header}`);
+    for (const [library, curve] of Object.entries(curves)) {
+        const cells = sizes.map(size => {
+            const point = curve.points.find(candidate => candidate.size === size);
+            return (point ? formatOps(point.opsPerSec) : "—").padStart(12);
+        });
+        log(`   ${library.padEnd(18)}: ${cells.join("")}`);
+    }
+
+    log(`\n   time per item       ${header}`);
+    for (const [library, curve] of Object.entries(curves)) {
+        const cells = sizes.map(size => {
+            const point = curve.points.find(candidate => candidate.size === size);
+            return (point ? formatDuration(point.msPerItem) : "—").padStart(12);
+        });
+        log(`   ${library.padEnd(18)}: ${cells.join("")}`);
+    }
+
+    log("\n   fitted time per validation:");
+    for (const [library, curve] of Object.entries(curves)) {
+        log(`   ${library.padEnd(18)}: ${formatGrowth(curve.fit)}`);
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            scenario: { type: "string", short: "s", multiple: true },
+            sizes: { type: "string" },
+            time: { type: "string" },
+            iterations: { type: "string" },
+            latency: { type: "string" },
+            seed: { type: "string" },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const libraries = splitList(values.library);
+    libraries?.forEach(getAdapter);
+    const sizes = values.sizes === undefined ? DEFAULT_SIZES : parseSizes(values.sizes);
+    const runOptions = {
+        libraries,
+        time: parseInteger("time", values.time, DEFAULT_TIME, 1),
+        iterations: parseInteger("iterations", values.iterations, DEFAULT_ITERATIONS, 1)
+    };
+    const seed = parseInteger("seed", values.seed, DEFAULT_SEED, 0);
+    const latency = values.latency ?? "zero";
+    if (!PROFILES[latency]) {
+        throw new Error(`Unknown latency profile: ${latency} (available: ${Object.keys(PROFILES).join(", ")})`);
+    }
+
+    // Suites generate their data when loaded, so seed before discovering them
+    setSeed(seed);
+    setLatencyProfile(latency);
+    const suites = filterSuites(discoverSuites(), splitList(values.scenario))
+        .map(suite => ({ ...suite, scenarios: suite.scenarios.filter(scenario => scenario.scaleData) }))
+        .filter(suite => suite.scenarios.length > 0);
+    if (suites.length === 0) {
+        throw new Error("No scenario that can resize its data matches the given filters");
+    }
+
+    console.log = progressLogger(values.json);
+    const environment = describeEnvironment();
+
+    console.log("📏 Scaling Curves");
+    console.log("=".repeat(60));
+    console.log(`Node.js: ${process.version}`);
+    console.log(`Machine: ${summarizeEnvironment(environment)}`);
+    console.log(`Sizes: ${sizes.map(formatSize).join(", ")} items`);
+    console.log(`Seed: ${seed}`);
+    console.log(`Service latency: ${latency}`);
+
+    const scenarios = [];
+    for (const suite of suites) {
+        for (const scenario of suite.scenarios) {
+            const curves = {};
+            for (const size of sizes) {
+                const records = await runScenario(suite, scaledScenario(scenario, size), runOptions);
+                for (const record of records.filter(record => record.opsPerSec)) {
+                    const curve = curves[record.library] || (curves[record.library] = { points: [] });
+                    curve.points.push({
+                        size,
+                        opsPerSec: record.opsPerSec,
+                        rme: record.rme,
+                        msPerItem: 1000 / record.opsPerSec / size
+                    });
+                }
+            }
+
+            for (const curve of Object.values(curves)) {
+                curve.fit = fitGrowth(curve.points.map(point => ({ size: point.size, ms: 1000 / point.opsPerSec })));
+            }
+            printCurves(scenario, sizes, curves, console.log);
+            scenarios.push({ suite: suite.id, scenario: scenario.id, scenarioName: scenario.name, mode: suite.mode, curves });
+        }
+    }
+
+    if (values.json) {
+        writeJson({ generatedAt: new Date().toISOString(), environment, sizes, seed, latency, options: runOptions, scenarios }, values.json);
+        if (values.json !== "-") console.log(`\n💾 Curves written to ${values.json}`);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Async Call Timeline
+ *
+ * Shows how each library schedules the mock service calls of the async
+ * scenarios: a text Gantt chart per library, the parallelism factor and the
+ * peak number of calls in flight (see lib/timeline.js).
+ *
+ * Usage:
+ *   node timeline.js [options]
+ *
+ * Examples:
+ *   node timeline.js -s async-bulk-import
+ *   node timeline.js -l joi,superstruct --width 100
+ *   node timeline.js --json timeline.json
+ */
+
+const { parseArgs } = require("util");
+const { getAdapter } = require("./adapters");
+const { discoverSuites, filterSuites } = require("./lib/suites");
+const { traceScenario } = require("./lib/timeline");
+const { writeJson } = require("./lib/results");
+const { DEFAULT_SEED, setSeed } = require("./lib/random");
+const { DEFAULT_PROFILE, setLatencyProfile } = require("./lib/latency");
+const { formatDuration } = require("./lib/format");
+const { splitList, parseInteger, progressLogger } = require("./lib/cli");
+
+const DEFAULT_WIDTH = 60;
+
+const USAGE = `Usage: node timeline.js [options]
+
+Options:
+  -l, --library <names>    Libraries to trace, comma separated or repeated (default: all)
+  -s, --scenario <names>   Scenario ids or name substrings, comma separated or repeated (default: all async)
+      --width <columns>    Width of the Gantt bars (default: ${DEFAULT_WIDTH})
+      --latency <profile>  Mock service latency profile (default: ${DEFAULT_PROFILE})
+      --seed <n>           Seed for generated test data and service jitter (default: ${DEFAULT_SEED})
+      --json <file|->      Write the timelines as JSON to a file, or "-" for stdout
+  -h, --help               Show this help`;
+
+function renderBar(call, scale, width, wallMs) {
+    const end = call.end ?? wallMs;
+    const from = Math.min(Math.floor(call.start * scale), width - 1);
+    const to = Math.max(Math.ceil(end * scale), from + 1);
+    return " ".repeat(from) + "█".repeat(Math.min(to, width) - from) + " ".repeat(Math.max(width - to, 0));
+}
+
+function printTrace(trace, scale, width, log) {
+    log(`\n   ${trace.library} — ${trace.valid ? "valid" : "invalid"}, wall ${formatDuration(trace.wallMs)}, ${trace.calls.length} calls, parallelism ${trace.parallelism.toFixed(2)}x, peak ${trace.peak} in flight`);
+    if (trace.calls.length === 0) return;
+
+    const labelWidth = Math.max(...trace.calls.map(call => call.service.length));
+    for (const call of trace.calls) {
+        const duration = (call.end ?? trace.wallMs) - call.start;
+        const note = call.end === null ? " (still running)" : "";
+        log(`   ${call.service.padEnd(labelWidth)} │${renderBar(call, scale, width, trace.wallMs)}│ ${formatDuration(call.start)} +${formatDuration(duration)}${note}`);
+    }
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            library: { type: "string", short: "l", multiple: true },
+            scenario: { type: "string", short: "s", multiple: true },
+            width: { type: "string" },
+            latency: { type: "string" },
+            seed: { type: "string" },
+            json: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const libraries = splitList(values.library);
+    libraries?.forEach(getAdapter);
+    const width = parseInteger("width", values.width, DEFAULT_WIDTH, 10);
+    const seed = parseInteger("seed", values.seed, DEFAULT_SEED, 0);
+    const latency = values.latency ?? DEFAULT_PROFILE;
+
+    // Suites generate their data when loaded, so seed before discovering them
+    setSeed(seed);
+    setLatencyProfile(latency);
+    const suites = filterSuites(discoverSuites(), splitList(values.scenario))
+        .map(suite => ({ ...suite, scenarios: suite.scenarios.filter(scenario => scenario.services) }))
+        .filter(suite => suite.scenarios.length > 0);
+    if (suites.length === 0) {
+        throw new Error("No async scenario with instrumented services matches the given filters");
+    }
+
+    const log = progressLogger(values.json);
+
+    log("🕒 Async Call Timeline");
+    log("=".repeat(60));
+    log(`Service latency: ${latency}, seed: ${seed}`);
+
+    const scenarios = [];
+    for (const suite of suites) {
+        for (const scenario of suite.scenarios) {
+            const traces = await traceScenario(scenario, { libraries });
+            if (traces.length === 0) continue;
+
+            // One scale per scenario so the libraries' bars are comparable
+            const longest = Math.max(...traces.map(trace => trace.wallMs));
+            const scale = longest > 0 ? width / longest : 0;
+
+            log(`\n🎯 ${scenario.name} (0 → ${formatDuration(longest)})`);
+            log("─".repeat(width + 30));
+            for (const trace of traces) {
+                printTrace(trace, scale, width, log);
+            }
+
+            const ranked = [...traces].sort((a, b) => b.parallelism - a.parallelism);
+            log(`\n   Parallelism: ${ranked.map(trace => `${trace.library} ${trace.parallelism.toFixed(2)}x`).join(", ")}`);
+            scenarios.push({ suite: suite.id, scenario: scenario.id, scenarioName: scenario.name, traces });
+        }
+    }
+
+    if (values.json) {
+        writeJson({ generatedAt: new Date().toISOString(), latency, seed, scenarios }, values.json);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        });
+}
+
+module.exports = { main };
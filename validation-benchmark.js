@@ -1,15 +1,13 @@
-const { Bench } = require("tinybench");
 const { z } = require("zod");
 const Joi = require("joi");
-const { Validator, AsyncValidator, required, minNumber, maxNumber, stringMinLen, stringMaxLen, emailAddress, elementOf, regularExpression } = require("validant");
+const { required, minNumber, maxNumber, stringMinLen, stringMaxLen, emailAddress, elementOf, regularExpression } = require("validant");
 const yup = require("yup");
-const { string, number, integer, array, object, boolean, size, min, max, assert, pattern, enums } = require("superstruct");
-const FastestValidator = require("fastest-validator");
-
-console.log("🚀 Comprehensive Validation Library Benchmark");
-console.log("=".repeat(60));
-console.log(`Node.js: ${process.version}`);
-console.log("Testing realistic scenarios developers face daily\n");
+const { string, number, integer, array, object, boolean, size, min, max, pattern, enums } = require("superstruct");
+const { runScenario } = require("./lib/runners");
+const { withSchemas } = require("./lib/schemas");
+const { invalidFixture } = require("./lib/conformance");
+const { wholeNumber, whenPresent } = require("./lib/validant-rules");
+const { random, randomInt } = require("./lib/random");
 
 // ========================
 // SCENARIO 1: USER REGISTRATION
@@ -26,8 +24,8 @@ const userRegistrationData = {
     newsletter: false
 };
 
-const userSchemas = {
-    zod: z.object({
+const userSchemaBuilders = {
+    zod: () => z.object({
         username: z.string().min(3).max(20),
         email: z.string().email(),
         password: z.string().min(8).max(100),
@@ -38,7 +36,7 @@ const userSchemas = {
         newsletter: z.boolean()
     }),
 
-    joi: Joi.object({
+    joi: () => Joi.object({
         username: Joi.string().min(3).max(20).required(),
         email: Joi.string().email().required(),
         password: Joi.string().min(8).max(100).required(),
@@ -49,18 +47,18 @@ const userSchemas = {
         newsletter: Joi.boolean().required()
     }),
 
-    validant: {
-        username: [required(), stringMinLen(3), stringMaxLen(20)],
+    validant: () => ({
+        username: [required(), ...whenPresent(stringMinLen(3), stringMaxLen(20))],
         email: [required(), emailAddress()],
-        password: [required(), stringMinLen(8), stringMaxLen(100)],
-        age: [required(), minNumber(13), maxNumber(120)],
-        firstName: [required(), stringMinLen(1), stringMaxLen(50)],
-        lastName: [required(), stringMinLen(1), stringMaxLen(50)],
+        password: [required(), ...whenPresent(stringMinLen(8), stringMaxLen(100))],
+        age: [required(), wholeNumber(), minNumber(13), maxNumber(120)],
+        firstName: [required(), ...whenPresent(stringMinLen(1), stringMaxLen(50))],
+        lastName: [required(), ...whenPresent(stringMinLen(1), stringMaxLen(50))],
         acceptTerms: [required()],
         newsletter: [required()]
-    },
+    }),
 
-    yup: yup.object({
+    yup: () => yup.object({
         username: yup.string().min(3).max(20).required(),
         email: yup.string().email().required(),
         password: yup.string().min(8).max(100).required(),
@@ -71,7 +69,7 @@ const userSchemas = {
         newsletter: yup.boolean().required()
     }),
 
-    superstruct: object({
+    superstruct: () => object({
         username: size(string(), 3, 20),
         email: pattern(string(), /^[^\s@]+@[^\s@]+\.[^\s@]+$/),
         password: size(string(), 8, 100),
@@ -82,7 +80,7 @@ const userSchemas = {
         newsletter: boolean()
     }),
 
-    "fastest-validator": new FastestValidator().compile({
+    "fastest-validator": () => ({
         username: { type: "string", min: 3, max: 20 },
         email: { type: "email" },
         password: { type: "string", min: 8, max: 100 },
@@ -94,6 +92,15 @@ const userSchemas = {
     })
 };
 
+const userRegistrationFixtures = [
+    invalidFixture("bad-email", "Malformed email", userRegistrationData, "email", "john.doe@"),
+    invalidFixture("age-12", "Age below 13", userRegistrationData, "age", 12),
+    invalidFixture("age-fraction", "Non-integer age", userRegistrationData, "age", 28.5),
+    invalidFixture("short-password", "Password shorter than 8 characters", userRegistrationData, "password", "short"),
+    invalidFixture("long-username", "Username longer than 20 characters", userRegistrationData, "username", "john_doe_123456789012"),
+    invalidFixture("missing-last-name", "Missing lastName", userRegistrationData, "lastName", undefined)
+];
+
 // ========================
 // SCENARIO 2: API PAYLOAD
 // ========================
@@ -117,8 +124,8 @@ const apiPayloadData = {
     version: "1.2.0"
 };
 
-const apiSchemas = {
-    zod: z.object({
+const apiSchemaBuilders = {
+    zod: () => z.object({
         userId: z.string(),
         action: z.string(),
         data: z.object({
@@ -137,7 +144,7 @@ const apiSchemas = {
         version: z.string()
     }),
 
-    joi: Joi.object({
+    joi: () => Joi.object({
         userId: Joi.string().required(),
         action: Joi.string().required(),
         data: Joi.object({
@@ -156,26 +163,26 @@ const apiSchemas = {
         version: Joi.string().required()
     }),
 
-    validant: {
+    validant: () => ({
         userId: [required()],
         action: [required()],
         data: {
             profile: {
-                bio: [required(), stringMaxLen(500)],
-                location: [required(), stringMaxLen(100)],
+                bio: [required(), ...whenPresent(stringMaxLen(500))],
+                location: [required(), ...whenPresent(stringMaxLen(100))],
                 website: [required(), regularExpression(/^https?:\/\/.+/)]
             },
             preferences: {
                 theme: [required(), elementOf(["light", "dark", "auto"])],
                 notifications: [required()],
-                language: [required(), stringMinLen(2), stringMaxLen(2)]
+                language: [required(), ...whenPresent(stringMinLen(2), stringMaxLen(2))]
             }
         },
         timestamp: [required()],
         version: [required()]
-    },
+    }),
 
-    yup: yup.object({
+    yup: () => yup.object({
         userId: yup.string().required(),
         action: yup.string().required(),
         data: yup.object({
@@ -194,7 +201,7 @@ const apiSchemas = {
         version: yup.string().required()
     }),
 
-    superstruct: object({
+    superstruct: () => object({
         userId: string(),
         action: string(),
         data: object({
@@ -213,7 +220,7 @@ const apiSchemas = {
         version: string()
     }),
 
-    "fastest-validator": new FastestValidator().compile({
+    "fastest-validator": () => ({
         userId: { type: "string" },
         action: { type: "string" },
         data: {
@@ -242,6 +249,17 @@ const apiSchemas = {
     })
 };
 
+const apiPayloadFixtures = [
+    invalidFixture("theme-purple", "Theme outside light/dark/auto", apiPayloadData, "data.preferences.theme", "purple"),
+    invalidFixture("language-eng", "Language code longer than 2 characters", apiPayloadData, "data.preferences.language", "eng"),
+    {
+        ...invalidFixture("missing-preferences", "Missing nested preferences", apiPayloadData, "data.preferences", undefined),
+        knownDifferences: { validant: "nested object rules are skipped when the object itself is missing" }
+    },
+    invalidFixture("bad-website", "Website is not a URL", apiPayloadData, "data.profile.website", "johndoe.dev"),
+    invalidFixture("long-bio", "Bio longer than 500 characters", apiPayloadData, "data.profile.bio", "x".repeat(501))
+];
+
 // ========================
 // SCENARIO 3: BULK PROCESSING
 // ========================
@@ -249,17 +267,17 @@ const apiSchemas = {
 const generateBulkData = (count) => {
     return Array.from({ length: count }, (_, i) => ({
         id: `item_${i + 1}`,
-        value: Math.random() * 1000,
+        value: random() * 1000,
         category: ["A", "B", "C", "D"][i % 4],
-        active: Math.random() > 0.5,
-        priority: Math.floor(Math.random() * 5) + 1
+        active: random() > 0.5,
+        priority: randomInt(1, 5)
     }));
 };
 
 const bulkData = generateBulkData(50);
 
-const bulkSchemas = {
-    zod: z.array(z.object({
+const bulkSchemaBuilders = {
+    zod: () => z.array(z.object({
         id: z.string(),
         value: z.number(),
         category: z.enum(["A", "B", "C", "D"]),
@@ -267,7 +285,7 @@ const bulkSchemas = {
         priority: z.number().int().min(1).max(5)
     })),
 
-    joi: Joi.array().items(Joi.object({
+    joi: () => Joi.array().items(Joi.object({
         id: Joi.string().required(),
         value: Joi.number().required(),
         category: Joi.string().valid("A", "B", "C", "D").required(),
@@ -275,19 +293,19 @@ const bulkSchemas = {
         priority: Joi.number().integer().min(1).max(5).required()
     })),
 
-    validant: {
+    validant: () => ({
         data: {
             arrayElementRule: {
                 id: [required()],
                 value: [required()],
                 category: [required(), elementOf(["A", "B", "C", "D"])],
                 active: [required()],
-                priority: [required(), minNumber(1), maxNumber(5)]
+                priority: [required(), wholeNumber(), minNumber(1), maxNumber(5)]
             }
         }
-    },
+    }),
 
-    yup: yup.array().of(yup.object({
+    yup: () => yup.array().of(yup.object({
         id: yup.string().required(),
         value: yup.number().required(),
         category: yup.string().oneOf(["A", "B", "C", "D"]).required(),
@@ -295,7 +313,7 @@ const bulkSchemas = {
         priority: yup.number().integer().min(1).max(5).required()
     })),
 
-    superstruct: array(object({
+    superstruct: () => array(object({
         id: string(),
         value: number(),
         category: enums(["A", "B", "C", "D"]),
@@ -303,7 +321,7 @@ const bulkSchemas = {
         priority: min(max(integer(), 5), 1)
     })),
 
-    "fastest-validator": new FastestValidator().compile({
+    "fastest-validator": () => ({
         $$root: true,
         type: "array",
         items: {
@@ -319,136 +337,73 @@ const bulkSchemas = {
     })
 };
 
+const bulkFixtures = [
+    invalidFixture("priority-6", "Priority above 5", bulkData, "5.priority", 6),
+    invalidFixture("priority-0", "Priority below 1", bulkData, "5.priority", 0),
+    invalidFixture("category-e", "Category outside A-D", bulkData, "10.category", "E"),
+    invalidFixture("missing-id", "Item without id", bulkData, "49.id", undefined)
+];
+
 // ========================
-// VALIDATION FUNCTION
+// SUITE DEFINITION
 // ========================
 
-function validateWith(library, schema, data) {
-    try {
-        switch (library) {
-            case "zod":
-                return schema.parse(data);
-            case "joi":
-                const joiResult = schema.validate(data);
-                if (joiResult.error) throw joiResult.error;
-                return joiResult.value;
-            case "validant":
-                if (Array.isArray(data)) {
-                    const validator = new Validator();
-                    const result = validator.validate({
-                        data: data
-                    }, schema);
-                    if (!result.isValid) throw new Error(result.message);
-                    return data;
-                } else {
-                    const validator = new Validator();
-                    const result = validator.validate(data, schema);
-                    if (!result.isValid) throw new Error(result.message);
-                    return data;
-                }
-            case "yup":
-                return schema.validateSync(data);
-            case "superstruct":
-                assert(data, schema);
-                return data;
-            case "fastest-validator":
-                const validationResult = schema(data);
-                if (validationResult !== true) throw new Error("Validation failed");
-                return data;
-            default:
-                throw new Error(`Unknown library: ${library}`);
+const suite = withSchemas({
+    id: "sync",
+    name: "Comprehensive Validation Library Benchmark",
+    mode: "sync",
+    scenarios: [
+        {
+            id: "user-registration",
+            name: "User Registration Form",
+            description: "Typical user signup form with email, password, and profile fields",
+            data: userRegistrationData,
+            schemaBuilders: userSchemaBuilders,
+            invalidFixtures: userRegistrationFixtures
+        },
+        {
+            id: "api-payload",
+            name: "API Request Payload",
+            description: "Complex nested API payload with multiple object levels",
+            data: apiPayloadData,
+            schemaBuilders: apiSchemaBuilders,
+            invalidFixtures: apiPayloadFixtures
+        },
+        {
+            id: "bulk-data",
+            name: "Bulk Data Processing",
+            description: "Array of 50 objects - simulates batch processing scenarios",
+            data: bulkData,
+            scaleData: generateBulkData,
+            schemaBuilders: bulkSchemaBuilders,
+            invalidFixtures: bulkFixtures
         }
-    } catch (error) {
-        return null;
-    }
-}
+    ]
+});
 
 // ========================
-// BENCHMARK RUNNER
+// MAIN EXECUTION
 // ========================
 
-async function runBenchmark(name, schemas, data, description) {
-    console.log(`\n🎯 ${name}`);
-    console.log(`${description}`);
-    console.log("─".repeat(60));
-
-    const bench = new Bench({ time: 2000 });
-    const libraries = ["fastest-validator", "zod", "joi", "validant", "yup", "superstruct"];
-
-    console.log("Testing library compatibility...");
-    const workingLibraries = [];
-
-    for (const lib of libraries) {
-        if (schemas[lib]) {
-            try {
-                const result = validateWith(lib, schemas[lib], data);
-                if (result !== null) {
-                    workingLibraries.push(lib);
-                    console.log(`✅ ${lib}`);
-                } else {
-                    console.log(`❌ ${lib} - validation failed`);
-                }
-            } catch (error) {
-                console.log(`❌ ${lib} - error: ${error.message}`);
-            }
-        } else {
-            console.log(`❌ ${lib} - no schema defined`);
-        }
-    }
+async function runValidationBenchmarks(options = {}) {
+    console.log("🚀 Comprehensive Validation Library Benchmark");
+    console.log("=".repeat(60));
+    console.log(`Node.js: ${process.version}`);
+    console.log("Testing realistic scenarios developers face daily\n");
 
-    if (workingLibraries.length === 0) {
-        console.log("❌ No working libraries found");
-        return;
+    const results = [];
+    for (const scenario of suite.scenarios) {
+        results.push(...await runScenario(suite, scenario, options));
     }
 
-    workingLibraries.forEach(lib => {
-        bench.add(lib, () => {
-            validateWith(lib, schemas[lib], data);
-        });
-    });
-
-    await bench.run();
-
-    console.log("\n📊 Performance Results:");
-    bench.tasks
-        .sort((a, b) => b.result.hz - a.result.hz)
-        .forEach((task, index) => {
-            const opsPerSec = Math.round(task.result.hz).toLocaleString();
-            const rme = task.result.rme.toFixed(2);
-            const emoji = index === 0 ? "🥇" : index === 1 ? "🥈" : index === 2 ? "🥉" : "  ";
-            console.log(`${emoji} ${task.name.padEnd(18)}: ${opsPerSec.padStart(12)} ops/sec ±${rme}%`);
-        });
+    return results;
 }
 
-// ========================
-// MAIN EXECUTION
-// ========================
-
-(async () => {
-    try {
-        await runBenchmark(
-            "User Registration Form",
-            userSchemas,
-            userRegistrationData,
-            "Typical user signup form with email, password, and profile fields"
-        );
-
-        await runBenchmark(
-            "API Request Payload",
-            apiSchemas,
-            apiPayloadData,
-            "Complex nested API payload with multiple object levels"
-        );
-
-        await runBenchmark(
-            "Bulk Data Processing",
-            bulkSchemas,
-            bulkData,
-            "Array of 50 objects - simulates batch processing scenarios"
-        );
-
-    } catch (error) {
+if (require.main === module) {
+    runValidationBenchmarks().catch(error => {
         console.error("❌ Benchmark failed:", error);
         process.exit(1);
-    }
-})(); 
\ No newline at end of file
+    });
+}
+
+module.exports = { suite, runValidationBenchmarks };